@@ -0,0 +1,198 @@
+/**
+ * adjust.js — Non-destructive image adjustments.
+ *
+ * A token's `adjust` settings are applied to a copy of the source pixels
+ * before the image is drawn; the original image is never modified. Pixel
+ * functions work on plain RGBA buffers (ImageData.data) so they can run
+ * anywhere a buffer is available.
+ *
+ * Order: background removal (on the untouched source colors), then
+ * brightness → contrast → saturation → hue → grayscale → tint.
+ */
+
+const DEFAULT_ADJUST = {
+  brightness: 0,      // -100 … 100
+  contrast:   0,      // -100 … 100
+  saturation: 0,      // -100 … 100
+  hue:        0,      // -180 … 180 degrees
+  grayscale:  0,      //    0 … 100 %
+  tint:       0,      //    0 … 100 % toward the frame color
+  removeBg:   'none', // 'none' | 'chroma' | 'flood'
+  keyColor:   '#00ff00',
+  tolerance:  40,     //    0 … 100
+};
+
+// Slider definitions for the adjustment panel
+const ADJUST_SLIDERS = [
+  { key: 'brightness', label: 'Brightness', min: -100, max: 100 },
+  { key: 'contrast',   label: 'Contrast',   min: -100, max: 100 },
+  { key: 'saturation', label: 'Saturation', min: -100, max: 100 },
+  { key: 'hue',        label: 'Hue',        min: -180, max: 180 },
+  { key: 'grayscale',  label: 'Grayscale',  min: 0,    max: 100 },
+  { key: 'tint',       label: 'Tint',       min: 0,    max: 100 },
+];
+
+const ADJUST_TOLERANCE = { key: 'tolerance', label: 'Tolerance', min: 0, max: 100 };
+
+// Presets set every slider; background removal settings are left alone
+const ADJUST_PRESETS = [
+  { id: 'reset',    label: 'Reset',    values: { brightness: 0,   contrast: 0,   saturation: 0, hue: 0, grayscale: 0,   tint: 0 } },
+  { id: 'defeated', label: 'Defeated', values: { brightness: -15, contrast: -10, saturation: 0, hue: 0, grayscale: 100, tint: 0 } },
+];
+
+/** True when the settings leave the pixels untouched. */
+function isIdentityAdjust(a) {
+  return ADJUST_SLIDERS.every(({ key }) => !a[key]) && a.removeBg === 'none';
+}
+
+function hexToRGB(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+function rgbToHex(rgb) {
+  return '#' + rgb.map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+}
+
+// ── Background removal ─────────────────────────────────────────────────────
+
+/** Squared-distance threshold for a 0–100 tolerance (100 ≈ half the RGB cube). */
+function toleranceSq(tolerance) {
+  const d = (tolerance / 100) * 221;   // 221 ≈ √(3·128²)
+  return d * d;
+}
+
+function colorDistSq(data, i, [kr, kg, kb]) {
+  const dr = data[i] - kr, dg = data[i + 1] - kg, db = data[i + 2] - kb;
+  return dr * dr + dg * dg + db * db;
+}
+
+/** Mean color of the outermost pixel ring — a good guess at a flat background. */
+function borderColor(data, w, h) {
+  const sum = [0, 0, 0];
+  let n = 0;
+  const add = p => {
+    for (let k = 0; k < 3; k++) sum[k] += data[p * 4 + k];
+    n++;
+  };
+  for (let x = 0; x < w; x++) { add(x); add((h - 1) * w + x); }
+  for (let y = 1; y < h - 1; y++) { add(y * w); add(y * w + w - 1); }
+  return rgbToHex(sum.map(v => v / n));
+}
+
+/** Make every pixel close to keyColor transparent, with a soft edge. */
+function chromaKey(data, keyColor, tolerance) {
+  const key  = hexToRGB(keyColor);
+  const hard = toleranceSq(tolerance);
+  const soft = toleranceSq(Math.min(100, tolerance * 1.5));
+  for (let i = 0; i < data.length; i += 4) {
+    const d = colorDistSq(data, i, key);
+    if (d <= hard) data[i + 3] = 0;
+    else if (d < soft) data[i + 3] = Math.round(data[i + 3] * (d - hard) / (soft - hard));
+  }
+}
+
+/**
+ * Clear the region connected to the image border whose colors are close to
+ * keyColor — keeps same-colored details inside the subject.
+ */
+function floodRemove(data, w, h, keyColor, tolerance) {
+  const key   = hexToRGB(keyColor);
+  const limit = toleranceSq(tolerance);
+  const seen  = new Uint8Array(w * h);
+  const stack = [];
+  const push = p => {
+    if (!seen[p] && colorDistSq(data, p * 4, key) <= limit) {
+      seen[p] = 1;
+      stack.push(p);
+    }
+  };
+  for (let x = 0; x < w; x++) { push(x); push((h - 1) * w + x); }
+  for (let y = 0; y < h; y++) { push(y * w); push(y * w + w - 1); }
+
+  while (stack.length) {
+    const p = stack.pop();
+    data[p * 4 + 3] = 0;
+    const x = p % w;
+    if (x > 0)     push(p - 1);
+    if (x < w - 1) push(p + 1);
+    if (p >= w)    push(p - w);
+    if (p < w * (h - 1)) push(p + w);
+  }
+}
+
+// ── Color adjustments ──────────────────────────────────────────────────────
+
+/** 3×3 hue-rotation matrix (luminance-preserving, as in CSS hue-rotate). */
+function hueMatrix(deg) {
+  const a = deg * Math.PI / 180;
+  const c = Math.cos(a), s = Math.sin(a);
+  return [
+    0.213 + c * 0.787 - s * 0.213, 0.715 - c * 0.715 - s * 0.715, 0.072 - c * 0.072 + s * 0.928,
+    0.213 - c * 0.213 + s * 0.143, 0.715 + c * 0.285 + s * 0.140, 0.072 - c * 0.072 - s * 0.283,
+    0.213 - c * 0.213 - s * 0.787, 0.715 - c * 0.715 + s * 0.715, 0.072 + c * 0.928 + s * 0.072,
+  ];
+}
+
+/**
+ * Apply `adjust` in place to an RGBA buffer of w×h pixels.
+ * `tintColor` is the hex color the tint slider pulls toward.
+ */
+function adjustPixels(data, w, h, adjust, tintColor) {
+  const a = { ...DEFAULT_ADJUST, ...adjust };
+
+  if (a.removeBg === 'chroma') chromaKey(data, a.keyColor, a.tolerance);
+  else if (a.removeBg === 'flood') floodRemove(data, w, h, a.keyColor, a.tolerance);
+
+  if (ADJUST_SLIDERS.every(({ key }) => !a[key])) return;
+
+  const bright   = a.brightness * 2.55;
+  const c        = a.contrast * 2.55;
+  const contrast = (259 * (c + 255)) / (255 * (259 - c));
+  const sat      = 1 + a.saturation / 100;
+  const m        = a.hue ? hueMatrix(a.hue) : null;
+  const gray     = a.grayscale / 100;
+  const tint     = a.tint / 100;
+  const [tr, tg, tb] = hexToRGB(tintColor);
+
+  for (let i = 0; i < data.length; i += 4) {
+    let r = data[i], g = data[i + 1], b = data[i + 2];
+
+    r += bright; g += bright; b += bright;
+
+    r = contrast * (r - 128) + 128;
+    g = contrast * (g - 128) + 128;
+    b = contrast * (b - 128) + 128;
+
+    let lum = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    r = lum + (r - lum) * sat;
+    g = lum + (g - lum) * sat;
+    b = lum + (b - lum) * sat;
+
+    if (m) {
+      const r0 = r, g0 = g, b0 = b;
+      r = m[0] * r0 + m[1] * g0 + m[2] * b0;
+      g = m[3] * r0 + m[4] * g0 + m[5] * b0;
+      b = m[6] * r0 + m[7] * g0 + m[8] * b0;
+    }
+
+    lum = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    if (gray) {
+      r += (lum - r) * gray;
+      g += (lum - g) * gray;
+      b += (lum - b) * gray;
+    }
+
+    // Tint: blend toward the tint color scaled by the pixel's own luminance,
+    // so shading survives (a colorize rather than a flat overlay)
+    if (tint) {
+      const l = Math.max(0, Math.min(255, lum)) / 255;
+      r += (tr * l - r) * tint;
+      g += (tg * l - g) * tint;
+      b += (tb * l - b) * tint;
+    }
+
+    data[i]     = r;   // Uint8ClampedArray clamps and rounds
+    data[i + 1] = g;
+    data[i + 2] = b;
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * animation.js — Looping token animations.
+ *
+ * Frames with `animated` params (a pulsing glow, a turning ring, gem
+ * shimmer — see frames.js) draw differently at each phase 0–1 of their loop.
+ * An animation is `frames` renders at evenly spaced phases i / frames,
+ * played back over `duration` seconds and encoded here as an animated PNG
+ * (buildApng) or by the page as WebM (MediaRecorder). Phase 1 draws the
+ * same as phase 0, so the last frame runs straight into the first.
+ */
+
+'use strict';
+
+const ANIMATION = {
+  frames:   { min: 4,   max: 60, default: 24  },
+  duration: { min: 0.5, max: 10, default: 2   },   // seconds per loop
+};
+
+const ANIMATION_MAX_SIZE = 1024;   // largest animation rendered (px)
+
+// ── PNG chunks ─────────────────────────────────────────────────────────────
+
+const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/** The chunks of a PNG file as [{ type, data }] (data without length or CRC). */
+function pngChunks(bytes) {
+  if (!PNG_SIGNATURE.every((b, i) => bytes[i] === b)) throw new Error('Not a PNG image');
+  const view   = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  for (let at = PNG_SIGNATURE.length; at + 8 <= bytes.length;) {
+    const length = view.getUint32(at);
+    const type   = String.fromCharCode(...bytes.subarray(at + 4, at + 8));
+    chunks.push({ type, data: bytes.subarray(at + 8, at + 8 + length) });
+    at += 12 + length;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+}
+
+/** One chunk as file bytes: length, type, data, CRC of type + data. */
+function pngChunk(type, data) {
+  const out  = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+// ── APNG writer ────────────────────────────────────────────────────────────
+
+/** fcTL: frame `seq` covers the whole image, shown for delayMs, replacing the last. */
+function apngFrameControl(seq, width, height, delayMs) {
+  const data = new Uint8Array(26);
+  const view = new DataView(data.buffer);
+  view.setUint32(0, seq);
+  view.setUint32(4, width);
+  view.setUint32(8, height);
+  // x/y offsets stay 0
+  view.setUint16(20, Math.round(delayMs));
+  view.setUint16(22, 1000);
+  data[24] = 0;   // dispose_op NONE
+  data[25] = 0;   // blend_op SOURCE: each frame replaces the last, transparency included
+  return pngChunk('fcTL', data);
+}
+
+/**
+ * Build a looping animated PNG from same-sized PNG frames, each shown for
+ * delayMs. The first frame is also what viewers without APNG support show.
+ * @param {(Blob|Uint8Array|ArrayBuffer)[]} pngs
+ * @returns {Promise<Blob>}
+ */
+async function buildApng(pngs, delayMs) {
+  if (!pngs.length) throw new Error('An animation needs at least one frame');
+  const frames = [];
+  for (const png of pngs) frames.push(pngChunks(await toBytes(png)));
+
+  const ihdr = frames[0].find(c => c.type === 'IHDR');
+  if (!ihdr) throw new Error('Not a PNG image');
+  const header = ihdr.data.join();
+  if (frames.some(chunks => chunks[0].type !== 'IHDR' || chunks[0].data.join() !== header)) {
+    throw new Error('Animation frames differ in size or pixel format');
+  }
+  const view   = new DataView(ihdr.data.buffer, ihdr.data.byteOffset, ihdr.data.byteLength);
+  const width  = view.getUint32(0);
+  const height = view.getUint32(4);
+
+  const actl = new Uint8Array(8);
+  new DataView(actl.buffer).setUint32(0, frames.length);   // num_plays 0: loop forever
+
+  const parts = [PNG_SIGNATURE, pngChunk('IHDR', ihdr.data), pngChunk('acTL', actl)];
+  // Color chunks (sRGB, gAMA, iCCP…) of the first frame apply to them all
+  for (const chunk of frames[0]) {
+    if (chunk.type === 'IDAT') break;
+    if (chunk.type !== 'IHDR') parts.push(pngChunk(chunk.type, chunk.data));
+  }
+
+  let seq = 0;
+  frames.forEach((chunks, i) => {
+    parts.push(apngFrameControl(seq++, width, height, delayMs));
+    for (const { type, data } of chunks) {
+      if (type !== 'IDAT') continue;
+      if (i === 0) {
+        parts.push(pngChunk('IDAT', data));
+      } else {
+        const fdat = new Uint8Array(4 + data.length);
+        new DataView(fdat.buffer).setUint32(0, seq++);
+        fdat.set(data, 4);
+        parts.push(pngChunk('fdAT', fdat));
+      }
+    }
+  });
+  parts.push(pngChunk('IEND', new Uint8Array(0)));
+  return new Blob(parts, { type: 'image/png' });
+}
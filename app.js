@@ -1,47 +1,71 @@
 /**
  * app.js — Map Token Creator
- * Canvas rendering, image interaction (pan / corner-resize / scroll-zoom), and PNG export.
+ * The page: preview rendering (the drawing itself lives in core.js, the
+ * placement math in geometry.js), image interaction (pan / corner-resize /
+ * rotate / scroll-zoom / keys), image adjustments and background fill,
+ * name/badge labels, status conditions, the pop-out mask brush, batch
+ * token queue, PNG / WebP / SVG / ZIP export, animated APNG / WebM export,
+ * VTT import packages and PDF print sheets.
  */
 
 'use strict';
 
 // ── Constants ──────────────────────────────────────────────────────────────
 
-const SIZE       = 512;
-const CX         = SIZE / 2;
-const CY         = SIZE / 2;
-const CLIP_R     = 232;   // radius of the visible image circle
 const THUMB      = 64;    // thumbnail canvas size
-const HANDLE_R   = 8;     // corner handle draw radius (canvas px)
-const HANDLE_HIT = 16;    // corner handle hit-test radius (canvas px)
-
-// Corner index → resize cursor name
-const CORNER_CURSORS = ['nw-resize', 'ne-resize', 'sw-resize', 'se-resize'];
+const TEXTURE_UPLOAD_MAX = 256;  // uploaded texture tiles are scaled down to this (px)
+const ROTATE_GAP = 28;    // distance of the rotate handle above the image's top edge
+const ROTATE_SNAP = 15;   // Shift-drag rotation step (degrees)
+const PAN_STEP    = 2;    // arrow-key pan step (canvas px); Shift uses PAN_STEP_LARGE
+const PAN_STEP_LARGE = 20;
+const ZOOM_STEP   = 1.08; // zoom factor per +/- key press
+const HISTORY_LIMIT       = 100;  // undo steps kept per token
+const HISTORY_COALESCE_MS = 500;  // wheel bursts closer than this merge into one step
+const RASTER_CACHE_LIMIT  = 64;   // rasterized frame / label layers kept
+const MAX_IMAGE_BYTES     = 25 * 1024 * 1024;  // larger source files are refused
+const MAX_IMAGE_SIDE      = 8192;  // decoded images wider or taller than this are refused
+const STATUS_MS           = 6000;  // how long an import message stays up
+const DEBUG = new URLSearchParams(location.search).has('debug');  // ?debug shows frame times
 
 // ── State ──────────────────────────────────────────────────────────────────
 
 const state = {
-  image:          null,   // HTMLImageElement
-  panX:           0,
-  panY:           0,
-  zoom:           1,
-  frameIndex:     0,
-  color:          '#c0922a',
+  ...createToken(),       // the token being edited (see core.js for its fields)
+  source:         null,   // original image File/Blob, embedded in saved projects
+  libraryId:      null,   // id of the library record this token was saved to
+  history:        newHistory(),
   // interaction
-  mode:           'none', // 'none' | 'pan' | 'resize'
+  mode:           'none', // 'none' | 'pan' | 'resize' | 'rotate' | 'paint'
   resizeCorner:   -1,     // 0=TL  1=TR  2=BL  3=BR
-  // anchor data captured at the start of each resize drag
+  // anchor data captured at the start of each resize drag (see startResize)
   resizeStartZoom:    1,
   resizeFixedCorner:  [0, 0],   // actual fixed corner in canvas px
   resizeActiveCorner: [0, 0],   // actual dragged corner in canvas px
   resizeMouseStartX:  0,
   resizeMouseStartY:  0,
+  // anchor data captured at the start of each rotate drag
+  rotateStartAngle:   0,      // pointer angle around the image centre (degrees)
+  rotateStartValue:   0,      // state.rotation at drag-start
   lastX:          0,
   lastY:          0,
   // pinch
   lastPinchDist:  null,
+  // pop-out mask brush (see the Pop-out section)
+  brush:          null,   // null | 'paint' | 'erase'
+  brushSize:      16,     // radius (canvas px)
+  brushAt:        null,   // last [x, y] of the brush on the canvas, null when off it
+  // batch queue
+  queue:          [],     // one token per uploaded image (see TOKEN_KEYS)
+  activeItem:     -1,     // index into queue of the token being edited
 };
 
+// Per-token settings — what a project file saves (frameIndex as the frame id).
+const SETTING_KEYS = ['panX', 'panY', 'zoom', 'rotation', 'flipX', 'flipY', 'frameIndex', 'frameParams', 'color', 'palette', 'shape', 'maskProfile', 'adjust', 'background', 'labels', 'conditions', 'creatureSize', 'popOut'];
+
+// Per-token fields. The active queue item is mirrored into `state` while it
+// is being edited, and written back with captureToken() before switching.
+const TOKEN_KEYS = ['name', 'image', 'source', 'libraryId', 'history', ...SETTING_KEYS];
+
 // ── DOM refs ───────────────────────────────────────────────────────────────
 
 const canvas      = document.getElementById('preview');
@@ -49,10 +73,99 @@ const ctx         = canvas.getContext('2d');
 const overlay     = document.getElementById('overlay');
 const octx        = overlay.getContext('2d');
 const imageInput  = document.getElementById('imageUpload');
+const canvasPanel = document.getElementById('canvasPanel');
+const statusBox   = document.getElementById('status');
 const colorInput  = document.getElementById('frameColor');
 const colorHex    = document.getElementById('colorHex');
 const downloadBtn = document.getElementById('downloadBtn');
+const downloadAllBtn = document.getElementById('downloadAllBtn');
+const exportSizes = document.getElementById('exportSizes');
+const exportCustomSize = document.getElementById('exportCustomSize');
+const exportGrid     = document.getElementById('exportGrid');
+const exportGridPx   = document.getElementById('exportGridPx');
+const exportFormat = document.getElementById('exportFormat');
 const framePicker = document.getElementById('framePicker');
+const frameParamsPanel = document.getElementById('frameParams');
+const shapeSelect = document.getElementById('shapeSelect');
+const creatureSizeSelect = document.getElementById('creatureSizeSelect');
+const maskInput   = document.getElementById('maskUpload');
+const customShapeOption = shapeSelect.querySelector('option[value="custom"]');
+const frameImportInput  = document.getElementById('frameImport');
+const frameRecolorInput = document.getElementById('frameRecolor');
+const saveProjectBtn = document.getElementById('saveProjectBtn');
+const projectInput   = document.getElementById('projectOpen');
+const saveLibraryBtn = document.getElementById('saveLibraryBtn');
+const libraryStrip   = document.getElementById('libraryStrip');
+const shareLinkBtn   = document.getElementById('shareLinkBtn');
+const panXInput      = document.getElementById('panXInput');
+const panYInput      = document.getElementById('panYInput');
+const zoomInput      = document.getElementById('zoomInput');
+const fitBtn         = document.getElementById('fitBtn');
+const fillBtn        = document.getElementById('fillBtn');
+const resetViewBtn   = document.getElementById('resetViewBtn');
+const autoFrameBtn   = document.getElementById('autoFrameBtn');
+const autoFrameAllBtn = document.getElementById('autoFrameAllBtn');
+const headroomSlider = document.getElementById('headroomSlider');
+const autoFrameImportInput = document.getElementById('autoFrameImport');
+const rotationRange  = document.getElementById('rotationRange');
+const rotationInput  = document.getElementById('rotationInput');
+const rotateLeftBtn  = document.getElementById('rotateLeftBtn');
+const rotateRightBtn = document.getElementById('rotateRightBtn');
+const flipXBtn       = document.getElementById('flipXBtn');
+const flipYBtn       = document.getElementById('flipYBtn');
+const adjustSliders  = document.getElementById('adjustSliders');
+const adjustPresets  = document.getElementById('adjustPresets');
+const removeBgSelect = document.getElementById('removeBgSelect');
+const toleranceSlider = document.getElementById('toleranceSlider');
+const keyColorInput  = document.getElementById('keyColor');
+const keyPickBtn     = document.getElementById('keyPickBtn');
+const bgModeSelect   = document.getElementById('bgModeSelect');
+const bgColorRow     = document.getElementById('bgColorRow');
+const bgColorInput   = document.getElementById('bgColor');
+const bgTextureRow   = document.getElementById('bgTextureRow');
+const bgTextureSelect = document.getElementById('bgTextureSelect');
+const bgTextureInput = document.getElementById('bgTextureUpload');
+const uploadTextureOption = bgTextureSelect.querySelector('option[value="upload"]');
+const bannerText     = document.getElementById('bannerText');
+const bannerPos      = document.getElementById('bannerPos');
+const badgeText      = document.getElementById('badgeText');
+const badgeClock     = document.getElementById('badgeClock');
+const seriesCount    = document.getElementById('seriesCount');
+const seriesStyle    = document.getElementById('seriesStyle');
+const seriesBtn      = document.getElementById('seriesBtn');
+const conditionToggles = document.getElementById('conditionToggles');
+const conditionSetBtn  = document.getElementById('conditionSetBtn');
+const printSource    = document.getElementById('printSource');
+const printSize      = document.getElementById('printSize');
+const printPage      = document.getElementById('printPage');
+const printCopies    = document.getElementById('printCopies');
+const printBleed     = document.getElementById('printBleed');
+const printCutLines  = document.getElementById('printCutLines');
+const printStandee   = document.getElementById('printStandee');
+const printBtn       = document.getElementById('printBtn');
+const vttName        = document.getElementById('vttName');
+const vttTarget      = document.getElementById('vttTarget');
+const vttBtn         = document.getElementById('vttBtn');
+const animFrames     = document.getElementById('animFrames');
+const animDuration   = document.getElementById('animDuration');
+const animFormat     = document.getElementById('animFormat');
+const animPreview    = document.getElementById('animPreview');
+const animBtn        = document.getElementById('animBtn');
+const popOutToggle     = document.getElementById('popOutToggle');
+const popOutPaintBtn   = document.getElementById('popOutPaintBtn');
+const popOutEraseBtn   = document.getElementById('popOutEraseBtn');
+const popOutClearBtn   = document.getElementById('popOutClearBtn');
+const popOutBrushRange = document.getElementById('popOutBrushRange');
+const popOutBrushInput = document.getElementById('popOutBrushInput');
+const paletteSelect  = document.getElementById('paletteSelect');
+const paletteSlots   = document.getElementById('paletteSlots');
+const paletteName    = document.getElementById('paletteName');
+const savePaletteBtn = document.getElementById('savePaletteBtn');
+const deletePaletteBtn = document.getElementById('deletePaletteBtn');
+const undoBtn        = document.getElementById('undoBtn');
+const redoBtn        = document.getElementById('redoBtn');
+const queueStrip  = document.getElementById('queueStrip');
+const queueCount  = document.getElementById('queueCount');
 
 // ── SVG → Image helper ─────────────────────────────────────────────────────
 
@@ -67,87 +180,154 @@ function svgToImage(svgString) {
   });
 }
 
+// core.js draws through the browser's own canvas, SVG decoder and Path2D
+setRenderBackend({
+  createCanvas(w, h) {
+    const c = document.createElement('canvas');
+    c.width  = w;
+    c.height = h;
+    return c;
+  },
+  loadSvg:     svgToImage,
+  loadDataURL: url => loadImage(dataURLToBlob(url)),
+  Path2D,
+});
+
+// ── Raster cache ───────────────────────────────────────────────────────────
+
+/**
+ * Rasterized frame and label layers, keyed by everything that shapes them
+ * plus the pixel size, so redraws while dragging skip building, decoding and
+ * re-rasterizing the SVG. Entries are promises, so concurrent renders share
+ * one decode; the least recently used are evicted past RASTER_CACHE_LIMIT.
+ * Sizes above SIZE (exports) are rendered once and not cached.
+ */
+const rasterCache = new Map();
+const rasterStats = { hits: 0, misses: 0 };
+
+function rasterizeSvg(key, makeSvg, size) {
+  const cacheable = size <= SIZE;
+  const hit = cacheable && rasterCache.get(key);
+  if (hit) {
+    rasterCache.delete(key);   // re-insert as most recently used
+    rasterCache.set(key, hit);
+    rasterStats.hits++;
+    return hit;
+  }
+  rasterStats.misses++;
+  const raster = svgToImage(makeSvg()).then(img => {
+    const rc = createCanvas(size, size);
+    rc.getContext('2d').drawImage(img, 0, 0, size, size);
+    return rc;
+  });
+  if (cacheable) {
+    rasterCache.set(key, raster);
+    raster.catch(() => rasterCache.delete(key));
+    if (rasterCache.size > RASTER_CACHE_LIMIT) rasterCache.delete(rasterCache.keys().next().value);
+  }
+  return raster;
+}
+
+/** The token's frame rasterized at size px, at `phase` through its animation (see frameSvg). */
+function frameRaster(token, size, frameIndex = token.frameIndex, phase = 0) {
+  const key = JSON.stringify([
+    'frame', tokenFrame(token, frameIndex).id, token.color, token.palette, token.shape,
+    token.shape === 'custom' ? token.maskProfile : null, token.frameParams, tokenSquares(token), size, phase,
+  ]);
+  return rasterizeSvg(key, () => frameSvg(token, frameIndex, phase), size);
+}
+
+/** The token's label layer rasterized at size px, or null when it has none. */
+async function labelsRaster(token, size) {
+  const svg = tokenLabelsSvg(token);
+  return svg ? rasterizeSvg(`labels|${size}|${svg}`, () => svg, size) : null;
+}
+
+/** The token's condition overlay rasterized at size px, or null when it has none. */
+async function conditionsRaster(token, size) {
+  const svg = tokenConditionsSvg(token);
+  return svg ? rasterizeSvg(`conditions|${size}|${svg}`, () => svg, size) : null;
+}
+
+/**
+ * Ordering guard for async draws into one canvas context: a draw is stale
+ * once a draw that started after it has landed, so a slow render can never
+ * overwrite a newer one.
+ */
+const drawOrder = new WeakMap();   // context → { started, landed }
+
+function beginDraw(target) {
+  let order = drawOrder.get(target);
+  if (!order) drawOrder.set(target, order = { started: 0, landed: 0 });
+  const id = ++order.started;
+  return {
+    isStale: () => id < order.landed,
+    landed:  () => { order.landed = id; },
+  };
+}
+
 // ── Corner geometry ────────────────────────────────────────────────────────
 
-/** Returns the 4 image corners in canvas-pixel space: [TL, TR, BL, BR]. */
+/** The image corners of the token being edited (see imageCorners). */
 function getCorners() {
-  if (!state.image) return [];
-  const w = state.image.width  * state.zoom;
-  const h = state.image.height * state.zoom;
-  return [
-    [state.panX,     state.panY    ],   // 0 TL
-    [state.panX + w, state.panY    ],   // 1 TR
-    [state.panX,     state.panY + h],   // 2 BL
-    [state.panX + w, state.panY + h],   // 3 BR
-  ];
+  return imageCorners(state);
 }
 
 /**
- * Clamp a corner position so the handle stays within the canvas.
- * Handles for corners that are off-canvas get pushed to the nearest edge
- * so they're always reachable by the user.
+ * The rotate handle: `gap` px beyond the middle of the rectangle's
+ * visually-top edge, i.e. along the rotated "up" direction (flips ignored).
  */
-function clampHandle(x, y) {
-  const pad = HANDLE_R + 2;
-  return [
-    Math.max(pad, Math.min(SIZE - pad, x)),
-    Math.max(pad, Math.min(SIZE - pad, y)),
-  ];
+function getRotateHandle(gap = ROTATE_GAP) {
+  if (!state.image) return null;
+  const a  = state.rotation * Math.PI / 180;
+  const d  = (state.image.height * state.zoom) / 2 + gap;
+  const [cx, cy] = imageCenter(state);
+  return [cx + d * Math.sin(a), cy - d * Math.cos(a)];
+}
+
+/** Diagonal resize cursor matching a corner's on-screen direction from the centre. */
+function cornerCursor(corner) {
+  const [x, y]   = getCorners()[corner];
+  const [cx, cy] = imageCenter(state);
+  return (x - cx) * (y - cy) > 0 ? 'nwse-resize' : 'nesw-resize';
+}
+
+/** True if (mx, my) is on the (clamped) rotate handle. */
+function hitTestRotate(mx, my) {
+  const handle = getRotateHandle();
+  return !!handle && handleAt([handle], mx, my) === 0;
 }
 
 /** Returns the corner index (0-3) whose clamped handle is under (mx, my), or -1. */
 function hitTestCorner(mx, my) {
-  const corners = getCorners();
-  for (let i = 0; i < corners.length; i++) {
-    const [hx, hy] = clampHandle(...corners[i]);
-    const dx = mx - hx, dy = my - hy;
-    if (dx * dx + dy * dy <= HANDLE_HIT * HANDLE_HIT) return i;
-  }
-  return -1;
+  return handleAt(getCorners(), mx, my);
 }
 
 // ── Preview canvas render ──────────────────────────────────────────────────
 
-async function render(targetCtx = ctx, targetSize = SIZE) {
-  const s = targetSize / SIZE;
-  const c = targetCtx;
-
-  c.clearRect(0, 0, targetSize, targetSize);
-
-  // Clip to circle then draw image
-  c.save();
-  c.beginPath();
-  c.arc(CX * s, CY * s, CLIP_R * s, 0, Math.PI * 2);
-  c.clip();
-
-  if (!state.image) {
-    c.fillStyle = '#2a2a3a';
-    c.fillRect(0, 0, targetSize, targetSize);
-    c.fillStyle = '#555';
-    c.font = `${14 * s}px sans-serif`;
-    c.textAlign    = 'center';
-    c.textBaseline = 'middle';
-    c.fillText('Upload an image', CX * s, CY * s);
-  } else {
-    c.drawImage(
-      state.image,
-      state.panX * s,
-      state.panY * s,
-      state.image.width  * state.zoom * s,
-      state.image.height * state.zoom * s
-    );
-  }
-
-  c.restore();
-
-  // Draw frame SVG on top
-  const svgStr = FRAMES[state.frameIndex].fn(state.color);
-  try {
-    const frameImg = await svgToImage(svgStr);
-    c.drawImage(frameImg, 0, 0, targetSize, targetSize);
-  } catch (e) {
-    console.warn('Frame render failed:', e);
-  }
+/**
+ * Composite a token (clipped image + frame + conditions + labels) into
+ * targetCtx at targetSize px, the frame at `phase` (0–1) through its
+ * animation loop. `token` defaults to the live editing state; queue items
+ * render the same way. Resolves to false if a newer render into the same
+ * context landed first (nothing is drawn).
+ */
+async function render(targetCtx = ctx, targetSize = SIZE, token = state, phase = 0) {
+  const c    = targetCtx;
+  const draw = beginDraw(c);
+
+  // Gather the async layers first so the canvas is touched in one synchronous pass
+  await Promise.all([loadBackground(token), loadPopOut(token)]);
+  const [frameImg, labelsImg, conditionsImg] = await Promise.all([
+    frameRaster(token, targetSize, token.frameIndex, tokenAnimated(token) ? phase : 0).catch(e => { console.warn('Frame render failed:', e); return null; }),
+    labelsRaster(token, targetSize).catch(e => { console.warn('Label render failed:', e); return null; }),
+    conditionsRaster(token, targetSize).catch(e => { console.warn('Condition render failed:', e); return null; }),
+  ]);
+  if (draw.isStale()) return false;
+
+  composeToken(c, targetSize, token, frameImg, labelsImg, conditionsImg);
+  draw.landed();
+  return true;
 }
 
 // ── Overlay canvas render ──────────────────────────────────────────────────
@@ -155,19 +335,40 @@ async function render(targetCtx = ctx, targetSize = SIZE) {
 function renderOverlay() {
   octx.clearRect(0, 0, SIZE, SIZE);
   if (!state.image) return;
+  if (brushActive()) {
+    renderBrushOverlay();
+    return;
+  }
 
   const corners = getCorners();
-  const w = state.image.width  * state.zoom;
-  const h = state.image.height * state.zoom;
 
   // Dashed bounding rect (may be clipped by the canvas edge for large images)
   octx.save();
   octx.strokeStyle = 'rgba(255,255,255,0.5)';
   octx.lineWidth   = 1;
   octx.setLineDash([5, 4]);
-  octx.strokeRect(state.panX + 0.5, state.panY + 0.5, w, h);
+  octx.beginPath();
+  for (const i of [0, 1, 3, 2]) octx.lineTo(corners[i][0] + 0.5, corners[i][1] + 0.5);
+  octx.closePath();
+  octx.stroke();
   octx.restore();
 
+  // Rotate handle — a stem from the top edge's midpoint to a round knob
+  const [rx, ry] = clampHandle(...getRotateHandle());
+  octx.beginPath();
+  octx.moveTo(...getRotateHandle(0));
+  octx.lineTo(rx, ry);
+  octx.strokeStyle = 'rgba(255,255,255,0.6)';
+  octx.lineWidth   = 1;
+  octx.stroke();
+  octx.beginPath();
+  octx.arc(rx, ry, HANDLE_R, 0, Math.PI * 2);
+  octx.fillStyle   = 'rgba(120,200,255,0.92)';
+  octx.fill();
+  octx.strokeStyle = 'rgba(0,0,0,0.4)';
+  octx.lineWidth   = 1.5;
+  octx.stroke();
+
   // Corner handles — drawn at their clamped positions
   for (let i = 0; i < 4; i++) {
     const [hx, hy] = clampHandle(...corners[i]);
@@ -182,93 +383,479 @@ function renderOverlay() {
   }
 }
 
+// ── Render scheduling ──────────────────────────────────────────────────────
+
+let renderQueued = false;
+
+/** Redraw the preview and overlay on the next animation frame (calls coalesce). */
 function scheduleRender() {
-  render().catch(console.error);
-  renderOverlay();
+  if (renderQueued) return;
+  renderQueued = true;
+  requestAnimationFrame(() => {
+    renderQueued = false;
+    const start = performance.now();
+    renderOverlay();
+    syncPositionControls();
+    scheduleShareUpdate();
+    render(ctx, SIZE, state, previewPhase).then(drawn => {
+      if (!drawn) return;
+      updateActiveQueueThumb();
+      if (DEBUG) recordFrameTime(performance.now() - start);
+    }).catch(console.error);
+  });
+}
+
+// ── Debug overlay ──────────────────────────────────────────────────────────
+
+const frameTimes = [];   // the last 60 preview render times (ms)
+
+function recordFrameTime(ms) {
+  frameTimes.push(ms);
+  if (frameTimes.length > 60) frameTimes.shift();
+  drawDebugStats();
+}
+
+/** Frame-time and cache readout in the overlay's top-left corner. */
+function drawDebugStats() {
+  const last = frameTimes[frameTimes.length - 1];
+  const avg  = frameTimes.reduce((a, b) => a + b, 0) / frameTimes.length;
+  const max  = Math.max(...frameTimes);
+  const lookups = rasterStats.hits + rasterStats.misses;
+  const lines = [
+    `render ${last.toFixed(1)} ms`,
+    `avg ${avg.toFixed(1)}  max ${max.toFixed(1)} ms`,
+    `cache ${rasterCache.size}  hits ${lookups ? Math.round(100 * rasterStats.hits / lookups) : 0}%`,
+  ];
+  octx.save();
+  octx.fillStyle = 'rgba(0,0,0,0.65)';
+  octx.fillRect(4, 4, 150, 14 * lines.length + 8);
+  octx.fillStyle    = '#8f8';
+  octx.font         = '11px monospace';
+  octx.textBaseline = 'top';
+  lines.forEach((line, i) => octx.fillText(line, 10, 9 + i * 14));
+  octx.restore();
+}
+
+// ── Status messages ────────────────────────────────────────────────────────
+
+let statusTimer = null;
+
+/** Show a message under the preview for STATUS_MS; kind 'error' or 'info'. */
+function showStatus(message, kind = 'info') {
+  clearTimeout(statusTimer);
+  statusBox.textContent = message;
+  statusBox.className   = `status ${kind}`;
+  statusBox.hidden      = false;
+  statusTimer = setTimeout(() => { statusBox.hidden = true; }, STATUS_MS);
 }
 
 // ── Image upload ───────────────────────────────────────────────────────────
 
 imageInput.addEventListener('change', e => {
-  const file = e.target.files[0];
-  if (!file) return;
-  const url = URL.createObjectURL(file);
-  const img = new Image();
-  img.onload = () => {
-    URL.revokeObjectURL(url);
-    state.image = img;
-    fitImage();
-    scheduleRender();
-  };
-  img.src = url;
+  addImageFiles([...e.target.files]);
+  e.target.value = '';   // allow re-selecting the same files
 });
 
-function fitImage() {
-  if (!state.image) return;
-  const diameter = CLIP_R * 2;
-  const scale = Math.max(diameter / state.image.width, diameter / state.image.height);
-  state.zoom = scale;
-  state.panX = CX - (state.image.width  * scale) / 2;
-  state.panY = CY - (state.image.height * scale) / 2;
+// Drag and drop onto the canvas panel: image files, or a link / image
+// dragged from another page
+canvasPanel.addEventListener('dragover', e => {
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'copy';
+  canvasPanel.classList.add('drag-over');
+});
+
+canvasPanel.addEventListener('dragleave', e => {
+  if (!canvasPanel.contains(e.relatedTarget)) canvasPanel.classList.remove('drag-over');
+});
+
+canvasPanel.addEventListener('drop', e => {
+  e.preventDefault();
+  canvasPanel.classList.remove('drag-over');
+  const files = [...e.dataTransfer.files];
+  if (files.length) {
+    addImageFiles(files);
+    return;
+  }
+  const url = (e.dataTransfer.getData('text/uri-list') || e.dataTransfer.getData('text/plain'))
+    .split('\n').map(line => line.trim()).find(line => line && !line.startsWith('#'));
+  if (url && IMAGE_URL.test(url)) importImageURL(url);
+});
+
+// Dropped or pasted text that is worth fetching as an image
+const IMAGE_URL = /^(data:|https?:\/\/)\S+$/i;
+
+// Paste: clipboard images, or a data: / http(s) image URL as text. Text
+// fields keep their normal paste.
+document.addEventListener('paste', e => {
+  if (e.target.matches('input[type="text"], input[type="number"], input:not([type]), textarea')) return;
+  const files = [...e.clipboardData.files];
+  if (files.length) {
+    e.preventDefault();
+    addImageFiles(files);
+    return;
+  }
+  const text = e.clipboardData.getData('text/plain').trim();
+  if (IMAGE_URL.test(text)) {
+    e.preventDefault();
+    importImageURL(text);
+  }
+});
+
+/**
+ * Fetch a data: or http(s) URL into a File and add it like an upload. The
+ * bytes are fetched rather than loaded straight into an <img> so exports
+ * aren't blocked by a cross-origin (tainted) canvas.
+ */
+async function importImageURL(url) {
+  let blob;
+  try {
+    if (url.startsWith('data:')) {
+      blob = dataURLToBlob(url);
+    } else {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`the server answered ${res.status}`);
+      blob = await res.blob();
+    }
+  } catch (err) {
+    const reason = err.name === 'TypeError' && !url.startsWith('data:')
+      ? 'the site may not allow downloads from other pages'
+      : err.message;
+    showStatus(`Could not load ${url.length > 60 ? url.slice(0, 57) + '…' : url}: ${reason}`, 'error');
+    return;
+  }
+  addImageFiles([new File([blob], imageURLName(url, blob), { type: blob.type })]);
 }
 
-// ── Pointer coordinate helper ──────────────────────────────────────────────
+/** A file name for an image loaded from url: its last path segment, decoded if it can be. */
+function imageURLName(url, blob) {
+  if (url.startsWith('data:')) return `pasted.${blob.type.split('/')[1] || 'png'}`;
+  let segment = '';
+  try {
+    segment = new URL(url, location.href).pathname.split('/').pop();
+    return decodeURIComponent(segment) || 'image';
+  } catch (err) {
+    return segment || 'image';   // a malformed %-escape
+  }
+}
 
-/** Convert a mouse/touch clientX/Y into canvas-pixel coordinates. */
-function canvasCoords(clientX, clientY) {
-  const rect   = overlay.getBoundingClientRect();
-  const cScale = SIZE / rect.width;
-  return [
-    (clientX - rect.left) * cScale,
-    (clientY - rect.top)  * cScale,
-  ];
+/** Decode an image File/Blob into an HTMLImageElement. */
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload  = () => { URL.revokeObjectURL(url); resolve(img); };
+    img.onerror = () => { URL.revokeObjectURL(url); reject(new Error(`${file.name || 'Image'}: not a readable image`)); };
+    img.src = url;
+  });
+}
+
+/** Why `file` can't be used as a source image, or null if it can be tried. */
+function imageFileProblem(file) {
+  // Some drops and pastes carry no type; let the decoder decide for those
+  if (file.type && !file.type.startsWith('image/')) {
+    return `${file.name}: unsupported file type (${file.type})`;
+  }
+  if (file.size > MAX_IMAGE_BYTES) {
+    const mb = n => (n / 1024 / 1024).toFixed(1);
+    return `${file.name}: too large (${mb(file.size)} MB, limit ${mb(MAX_IMAGE_BYTES)} MB)`;
+  }
+  return null;
+}
+
+function readAsDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload  = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function dataURLToBlob(dataURL) {
+  const comma = dataURL.indexOf(',');
+  const head  = dataURL.slice(0, comma);
+  const body  = dataURL.slice(comma + 1);
+  const mime  = head.slice(5).split(';')[0];
+  if (!/;base64$/i.test(head)) return new Blob([decodeURIComponent(body)], { type: mime });
+  const bin   = atob(body);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new Blob([bytes], { type: mime });
 }
 
-// ── Resize math ────────────────────────────────────────────────────────────
+/** "Goblin Archer (2).png" → "Goblin-Archer-2" — safe for ZIP entry names. */
+function fileBaseName(filename) {
+  const base = filename.replace(/\.[^.]+$/, '')
+    .replace(/[^\w\-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return base || 'token';
+}
 
 /**
- * Called while dragging a corner handle.
- *
- * Uses the positions snapshotted at drag-start (resizeFixedCorner /
- * resizeActiveCorner) so:
- *   • No jump when clicking a clamped handle (whose screen position differs
- *     from the actual image corner).
- *   • Scale is computed relative to the start-of-drag state, not accumulated,
- *     so there's no floating-point drift over a long drag.
+ * Append one queue item per image file. New items start with the current
+ * token settings, auto-fitted to the clip; the first one is selected.
+ * Files that can't be used are skipped and listed in the status area.
+ * Every import (upload, drop, paste, URL) comes through here.
+ */
+async function addImageFiles(files) {
+  const firstNew = state.queue.length;
+  const problems = [];
+  for (const file of files) {
+    const problem = imageFileProblem(file);
+    if (problem) {
+      problems.push(problem);
+      continue;
+    }
+    let img;
+    try {
+      img = await loadImage(file);
+    } catch (e) {
+      problems.push(e.message);
+      continue;
+    }
+    if (Math.max(img.naturalWidth, img.naturalHeight) > MAX_IMAGE_SIDE) {
+      problems.push(`${file.name}: too large (${img.naturalWidth}×${img.naturalHeight} px, limit ${MAX_IMAGE_SIDE} px per side)`);
+      continue;
+    }
+    const item = captureToken({});
+    item.name      = fileBaseName(file.name);
+    item.image     = img;
+    item.source    = file;
+    item.libraryId = null;
+    item.history   = newHistory();
+    item.popOut    = { ...item.popOut, mask: null };   // masks belong to the image they were painted on
+    if (autoFrame.onImport) autoFrameImage(item, autoFrame.headroom);
+    else fitImage(item);
+    state.queue.push(item);
+  }
+  if (state.queue.length > firstNew) {
+    selectQueueItem(firstNew);
+    if (pendingShare) {
+      applyShareLink(pendingShare);
+      pendingShare = null;
+    }
+  }
+  if (problems.length) {
+    problems.forEach(p => console.warn(p));
+    showStatus(problems.join('\n'), 'error');
+  }
+}
+
+// ── Batch queue ────────────────────────────────────────────────────────────
+
+/** Copy the live per-token fields from `state` into `target`. */
+function captureToken(target) {
+  for (const key of TOKEN_KEYS) target[key] = state[key];
+  return target;
+}
+
+/** Load a token's fields into `state` for editing. */
+function restoreToken(source) {
+  for (const key of TOKEN_KEYS) state[key] = source[key];
+}
+
+/** Write the live edits back into the active queue item, if any. */
+function storeActiveItem() {
+  if (state.activeItem !== -1) captureToken(state.queue[state.activeItem]);
+}
+
+function selectQueueItem(index) {
+  storeActiveItem();
+  state.activeItem = index;
+  if (index === -1) {
+    state.name      = '';
+    state.image     = null;
+    state.source    = null;
+    state.libraryId = null;
+    state.history   = newHistory();
+  } else {
+    restoreToken(state.queue[index]);
+  }
+  syncControls();
+  buildQueueStrip();
+  scheduleRender();
+}
+
+function removeQueueItem(index) {
+  state.queue.splice(index, 1);
+  if (index < state.activeItem) {
+    state.activeItem--;
+    buildQueueStrip();
+  } else if (index === state.activeItem) {
+    state.activeItem = -1;   // nothing to store back — the item is gone
+    selectQueueItem(Math.min(index, state.queue.length - 1));
+  } else {
+    buildQueueStrip();
+  }
+}
+
+function buildQueueStrip() {
+  queueStrip.innerHTML = '';
+  state.queue.forEach((item, i) => {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'queue-thumb' + (i === state.activeItem ? ' active' : '');
+    wrapper.title     = item.name;
+
+    const tc = document.createElement('canvas');
+    tc.width  = THUMB;
+    tc.height = THUMB;
+    wrapper.appendChild(tc);
+
+    const remove = document.createElement('button');
+    remove.className   = 'queue-remove';
+    remove.title       = `Remove ${item.name}`;
+    remove.textContent = '\u00D7';
+    remove.addEventListener('click', e => {
+      e.stopPropagation();
+      removeQueueItem(i);
+    });
+    wrapper.appendChild(remove);
+
+    wrapper.addEventListener('click', () => {
+      if (i !== state.activeItem) selectQueueItem(i);
+    });
+
+    queueStrip.appendChild(wrapper);
+    // The active thumb is filled from the preview canvas after each render
+    if (i !== state.activeItem) render(tc.getContext('2d'), THUMB, item).catch(console.error);
+  });
+
+  queueCount.textContent     = state.queue.length ? `(${state.queue.length})` : '';
+  downloadAllBtn.disabled    = state.queue.length === 0;
+  autoFrameAllBtn.disabled   = state.queue.length === 0;
+}
+
+/** Mirror the freshly rendered preview into the active item's thumbnail. */
+function updateActiveQueueThumb() {
+  const tc = queueStrip.querySelector('.queue-thumb.active canvas');
+  if (!tc) return;
+  const tctx = tc.getContext('2d');
+  tctx.clearRect(0, 0, THUMB, THUMB);
+  tctx.drawImage(canvas, 0, 0, THUMB, THUMB);
+}
+
+/** Bring every control in the panel in line with `state`. */
+function syncControls() {
+  syncFramePicker();
+  saveProjectBtn.disabled = saveLibraryBtn.disabled = seriesBtn.disabled = conditionSetBtn.disabled = !state.source;
+  shareLinkBtn.disabled   = vttBtn.disabled = !state.image;
+  updateHistoryButtons();
+  syncPositionControls();
+  syncRotationControls();
+  syncFrameParamControls();
+  syncAdjustControls();
+  syncBackgroundControls();
+  syncLabelControls();
+  syncConditionControls();
+  syncPopOutControls();
+  syncVttControls();
+  syncPaletteControls();
+  customShapeOption.disabled = !state.maskProfile;
+  shapeSelect.value    = state.shape;
+  creatureSizeSelect.value = state.creatureSize;
+  colorInput.value     = state.color;
+  colorHex.textContent = state.color;
+  if (thumbsKey() !== renderedThumbsKey) refreshAllThumbs();
+}
+
+// ── Undo / redo ────────────────────────────────────────────────────────────
+
+/**
+ * Each token keeps its own history of SETTING_KEYS snapshots.
  *
- * Aspect ratio is preserved: the diagonal from the fixed corner to the
- * effective dragged-corner position drives the new zoom uniformly.
+ * recordHistory(key) is called *before* a change. Consecutive calls with the
+ * same key merge into one undo step: gestures (drags, a color-picker drag)
+ * merge until endHistoryGesture(), bursts (wheel) only while the calls keep
+ * arriving within HISTORY_COALESCE_MS. A null key always starts a new step.
  */
-function applyResize(mx, my) {
-  if (!state.image) return;
+function newHistory() {
+  return { past: [], future: [], lastKey: null, lastTime: 0 };
+}
+
+function snapshotSettings(token) {
+  const snap = {};
+  for (const key of SETTING_KEYS) snap[key] = token[key];
+  return structuredClone(snap);
+}
+
+function recordHistory(key = null, burst = false) {
+  const h   = state.history;
+  const now = performance.now();
+  const coalesce = key !== null && key === h.lastKey && (!burst || now - h.lastTime < HISTORY_COALESCE_MS);
+  h.lastKey  = key;
+  h.lastTime = now;
+  if (coalesce) return;
+
+  pushHistory(state);
+  updateHistoryButtons();
+}
+
+/** Add an undo step holding `token`'s current settings. */
+function pushHistory(token) {
+  const h = token.history;
+  h.past.push(snapshotSettings(token));
+  if (h.past.length > HISTORY_LIMIT) h.past.shift();
+  h.future.length = 0;
+}
+
+function endHistoryGesture() {
+  state.history.lastKey = null;
+}
 
-  const [fX, fY] = state.resizeFixedCorner;
-  const [aX, aY] = state.resizeActiveCorner;
+function undo() {
+  const h = state.history;
+  if (!h.past.length) return;
+  h.future.push(snapshotSettings(state));
+  Object.assign(state, h.past.pop());
+  afterHistoryJump();
+}
 
-  // Mouse delta from where the drag started → shift the active corner by that delta
-  const dx   = mx - state.resizeMouseStartX;
-  const dy   = my - state.resizeMouseStartY;
-  const newAX = aX + dx;
-  const newAY = aY + dy;
+function redo() {
+  const h = state.history;
+  if (!h.future.length) return;
+  h.past.push(snapshotSettings(state));
+  Object.assign(state, h.future.pop());
+  afterHistoryJump();
+}
 
-  // Original diagonal (fixed → active at drag-start) used as the reference length
-  const origDiag = Math.sqrt((aX - fX) ** 2 + (aY - fY) ** 2);
-  const newDiag  = Math.sqrt((newAX - fX) ** 2 + (newAY - fY) ** 2);
-  if (origDiag === 0 || newDiag < 1) return;
+function afterHistoryJump() {
+  endHistoryGesture();
+  syncControls();
+  scheduleRender();
+}
 
-  const newZoom = Math.max(0.05, state.resizeStartZoom * (newDiag / origDiag));
-  const newW    = state.image.width  * newZoom;
-  const newH    = state.image.height * newZoom;
+function updateHistoryButtons() {
+  undoBtn.disabled = !state.history.past.length;
+  redoBtn.disabled = !state.history.future.length;
+}
 
-  // Reposition so the fixed corner stays at (fX, fY)
-  const fixedIndex = 3 - state.resizeCorner;
-  switch (fixedIndex) {
-    case 0: state.panX = fX;        state.panY = fY;        break; // TL fixed
-    case 1: state.panX = fX - newW; state.panY = fY;        break; // TR fixed
-    case 2: state.panX = fX;        state.panY = fY - newH; break; // BL fixed
-    case 3: state.panX = fX - newW; state.panY = fY - newH; break; // BR fixed
+undoBtn.addEventListener('click', undo);
+redoBtn.addEventListener('click', redo);
+
+window.addEventListener('keydown', e => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  // Leave native undo alone inside text fields
+  if (e.target.matches('input[type="text"], input[type="number"], input:not([type]), textarea')) return;
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    redo();
   }
-  state.zoom = newZoom;
+});
+
+// ── Pointer coordinate helper ──────────────────────────────────────────────
+
+/** Convert a mouse/touch clientX/Y into canvas-pixel coordinates. */
+function canvasCoords(clientX, clientY) {
+  const rect   = overlay.getBoundingClientRect();
+  const cScale = SIZE / rect.width;
+  return [
+    (clientX - rect.left) * cScale,
+    (clientY - rect.top)  * cScale,
+  ];
 }
 
 // ── Mouse events (on overlay) ──────────────────────────────────────────────
@@ -276,22 +863,24 @@ function applyResize(mx, my) {
 overlay.addEventListener('mousedown', e => {
   const [mx, my] = canvasCoords(e.clientX, e.clientY);
 
+  if (brushActive()) {
+    startBrushStroke(mx, my);
+    return;
+  }
   if (state.image) {
     const corner = hitTestCorner(mx, my);
     if (corner !== -1) {
-      const corners    = getCorners();
-      const fixedIndex = 3 - corner;
-      // Snapshot the actual (unclamped) corner positions at drag-start.
-      // applyResize works from these anchors so the image doesn't jump when
-      // the user clicks a clamped handle that isn't at the real corner.
-      state.mode              = 'resize';
-      state.resizeCorner      = corner;
-      state.resizeStartZoom   = state.zoom;
-      state.resizeFixedCorner  = [...corners[fixedIndex]];
-      state.resizeActiveCorner = [...corners[corner]];
-      state.resizeMouseStartX  = mx;
-      state.resizeMouseStartY  = my;
-      overlay.style.cursor = CORNER_CURSORS[corner];
+      state.mode = 'resize';
+      startResize(state, corner, mx, my);
+      overlay.style.cursor = cornerCursor(corner);
+      return;
+    }
+    if (hitTestRotate(mx, my)) {
+      const [cx, cy] = imageCenter(state);
+      state.mode             = 'rotate';
+      state.rotateStartAngle = Math.atan2(my - cy, mx - cx) * 180 / Math.PI;
+      state.rotateStartValue = state.rotation;
+      overlay.style.cursor   = 'grabbing';
       return;
     }
   }
@@ -306,6 +895,7 @@ window.addEventListener('mousemove', e => {
   if (state.mode === 'pan') {
     const rect   = overlay.getBoundingClientRect();
     const cScale = SIZE / rect.width;
+    recordHistory('pan');
     state.panX += (e.clientX - state.lastX) * cScale;
     state.panY += (e.clientY - state.lastY) * cScale;
     state.lastX = e.clientX;
@@ -314,12 +904,29 @@ window.addEventListener('mousemove', e => {
 
   } else if (state.mode === 'resize') {
     const [mx, my] = canvasCoords(e.clientX, e.clientY);
-    applyResize(mx, my);
+    recordHistory('resize');
+    applyResize(state, mx, my);
     scheduleRender();
+
+  } else if (state.mode === 'rotate') {
+    const [mx, my] = canvasCoords(e.clientX, e.clientY);
+    const [cx, cy] = imageCenter(state);
+    const angle = Math.atan2(my - cy, mx - cx) * 180 / Math.PI;
+    let rotation = state.rotateStartValue + angle - state.rotateStartAngle;
+    if (e.shiftKey) rotation = Math.round(rotation / ROTATE_SNAP) * ROTATE_SNAP;
+    recordHistory('rotate');
+    state.rotation = normalizeAngle(rotation);
+    syncRotationControls();
+    scheduleRender();
+
+  } else if (state.mode === 'paint') {
+    brushStrokeTo(...canvasCoords(e.clientX, e.clientY));
   }
 });
 
 window.addEventListener('mouseup', () => {
+  if (state.mode === 'paint') finishBrushStroke();
+  if (state.mode !== 'none') endHistoryGesture();
   state.mode         = 'none';
   state.resizeCorner = -1;
   overlay.style.cursor = 'grab';
@@ -330,8 +937,22 @@ overlay.addEventListener('mousemove', e => {
   if (state.mode !== 'none') return;
   if (!state.image) return;
   const [mx, my] = canvasCoords(e.clientX, e.clientY);
+  if (brushActive()) {
+    state.brushAt = [mx, my];
+    overlay.style.cursor = 'none';
+    renderOverlay();
+    return;
+  }
   const corner = hitTestCorner(mx, my);
-  overlay.style.cursor = corner !== -1 ? CORNER_CURSORS[corner] : 'grab';
+  overlay.style.cursor = corner !== -1 ? cornerCursor(corner)
+                       : hitTestRotate(mx, my) ? 'crosshair'
+                       : 'grab';
+});
+
+overlay.addEventListener('mouseleave', () => {
+  if (!state.brushAt || state.mode === 'paint') return;
+  state.brushAt = null;
+  renderOverlay();
 });
 
 // ── Scroll to zoom (on overlay) ────────────────────────────────────────────
@@ -339,11 +960,8 @@ overlay.addEventListener('mousemove', e => {
 overlay.addEventListener('wheel', e => {
   e.preventDefault();
   const [mx, my] = canvasCoords(e.clientX, e.clientY);
-  const factor  = e.deltaY < 0 ? 1.08 : 0.93;
-  const newZoom = Math.max(0.05, state.zoom * factor);
-  state.panX = mx - (mx - state.panX) * (newZoom / state.zoom);
-  state.panY = my - (my - state.panY) * (newZoom / state.zoom);
-  state.zoom = newZoom;
+  recordHistory('wheel', true);
+  zoomAt(state, mx, my, e.deltaY < 0 ? 1.08 : 0.93);
   scheduleRender();
 }, { passive: false });
 
@@ -357,12 +975,15 @@ function touchDist(t1, t2) {
 
 overlay.addEventListener('touchstart', e => {
   e.preventDefault();
-  if (e.touches.length === 1) {
+  if (e.touches.length === 1 && brushActive()) {
+    startBrushStroke(...canvasCoords(e.touches[0].clientX, e.touches[0].clientY));
+  } else if (e.touches.length === 1) {
     state.mode  = 'pan';
     state.lastX = e.touches[0].clientX;
     state.lastY = e.touches[0].clientY;
     state.lastPinchDist = null;
   } else if (e.touches.length === 2) {
+    if (state.mode === 'paint') finishBrushStroke();
     state.mode = 'none'; // pinch overrides pan
     state.lastPinchDist = touchDist(e.touches[0], e.touches[1]);
   }
@@ -373,11 +994,15 @@ overlay.addEventListener('touchmove', e => {
   const rect   = overlay.getBoundingClientRect();
   const cScale = SIZE / rect.width;
 
-  if (e.touches.length === 1 && state.mode === 'pan') {
+  if (e.touches.length === 1 && state.mode === 'paint') {
+    brushStrokeTo(...canvasCoords(e.touches[0].clientX, e.touches[0].clientY));
+
+  } else if (e.touches.length === 1 && state.mode === 'pan') {
     const dx = e.touches[0].clientX - state.lastX;
     const dy = e.touches[0].clientY - state.lastY;
     state.lastX = e.touches[0].clientX;
     state.lastY = e.touches[0].clientY;
+    recordHistory('touch');
     state.panX += dx * cScale;
     state.panY += dy * cScale;
     scheduleRender();
@@ -387,10 +1012,8 @@ overlay.addEventListener('touchmove', e => {
     const factor = dist / state.lastPinchDist;
     const mx = ((e.touches[0].clientX + e.touches[1].clientX) / 2 - rect.left) * cScale;
     const my = ((e.touches[0].clientY + e.touches[1].clientY) / 2 - rect.top)  * cScale;
-    const newZoom = Math.max(0.05, state.zoom * factor);
-    state.panX = mx - (mx - state.panX) * (newZoom / state.zoom);
-    state.panY = my - (my - state.panY) * (newZoom / state.zoom);
-    state.zoom = newZoom;
+    recordHistory('touch');
+    zoomAt(state, mx, my, factor);
     state.lastPinchDist = dist;
     scheduleRender();
   }
@@ -399,95 +1022,1773 @@ overlay.addEventListener('touchmove', e => {
 overlay.addEventListener('touchend', e => {
   e.preventDefault();
   if (e.touches.length < 2) state.lastPinchDist = null;
-  if (e.touches.length === 0) state.mode = 'none';
+  if (e.touches.length === 0) {
+    if (state.mode === 'paint') {
+      finishBrushStroke();
+      state.brushAt = null;
+    }
+    state.mode = 'none';
+    endHistoryGesture();
+  }
 }, { passive: false });
 
-// ── Frame picker ───────────────────────────────────────────────────────────
-
-async function buildFramePicker() {
-  for (let i = 0; i < FRAMES.length; i++) {
-    const frame = FRAMES[i];
-
-    const wrapper = document.createElement('div');
-    wrapper.className   = 'frame-thumb' + (i === 0 ? ' active' : '');
-    wrapper.dataset.index = i;
-
-    const tc = document.createElement('canvas');
-    tc.width  = THUMB;
-    tc.height = THUMB;
-    wrapper.appendChild(tc);
-
-    const label = document.createElement('div');
-    label.className   = 'thumb-label';
-    label.textContent = frame.label;
-    wrapper.appendChild(label);
-
-    framePicker.appendChild(wrapper);
-    renderThumb(tc, i, state.color);
-
-    wrapper.addEventListener('click', () => {
-      document.querySelectorAll('.frame-thumb').forEach(el => el.classList.remove('active'));
-      wrapper.classList.add('active');
-      state.frameIndex = i;
-      scheduleRender();
-    });
+// ── Keyboard & numeric positioning ─────────────────────────────────────────
+
+// The overlay takes focus on click or Tab: arrows pan, +/- zoom about the
+// clip centre, 0 fills the clip. Key repeats merge into one undo step.
+overlay.addEventListener('keydown', e => {
+  if (!state.image || e.ctrlKey || e.metaKey || e.altKey) return;
+  const step = e.shiftKey ? PAN_STEP_LARGE : PAN_STEP;
+  const pan  = {
+    ArrowLeft:  [-step, 0],
+    ArrowRight: [step, 0],
+    ArrowUp:    [0, -step],
+    ArrowDown:  [0, step],
+  }[e.key];
+
+  if (pan) {
+    recordHistory('keys', true);
+    state.panX += pan[0];
+    state.panY += pan[1];
+  } else if (e.key === '+' || e.key === '=') {
+    recordHistory('keys', true);
+    zoomAt(state, CX, CY, ZOOM_STEP);
+  } else if (e.key === '-' || e.key === '_') {
+    recordHistory('keys', true);
+    zoomAt(state, CX, CY, 1 / ZOOM_STEP);
+  } else if (e.key === '0') {
+    recordHistory();
+    fitImage(state, 'fill');
+  } else {
+    return;
   }
-}
-
-async function renderThumb(tc, frameIndex, color) {
-  const tctx = tc.getContext('2d');
-  tctx.clearRect(0, 0, THUMB, THUMB);
-  tctx.save();
-  tctx.beginPath();
-  tctx.arc(THUMB / 2, THUMB / 2, THUMB * 0.45, 0, Math.PI * 2);
-  tctx.fillStyle = '#2a2a3a';
-  tctx.fill();
-  tctx.restore();
+  e.preventDefault();
+  scheduleRender();
+});
 
-  const svgStr = FRAMES[frameIndex].fn(color);
-  try {
-    const img = await svgToImage(svgStr);
-    tctx.drawImage(img, 0, 0, THUMB, THUMB);
-  } catch (e) {
-    console.warn('Thumb render failed:', e);
+/** Show the image centre's offset from the clip centre and the zoom in %. */
+function syncPositionControls() {
+  const [x, y] = state.image ? imageCenter(state) : [CX, CY];
+  panXInput.value = Math.round(x - CX);
+  panYInput.value = Math.round(y - CY);
+  zoomInput.value = Math.round(state.zoom * 100);
+  for (const el of [panXInput, panYInput, zoomInput, fitBtn, fillBtn, resetViewBtn, autoFrameBtn]) {
+    el.disabled = !state.image;
   }
 }
 
-function refreshAllThumbs() {
-  document.querySelectorAll('.frame-thumb').forEach(wrapper => {
-    const i  = parseInt(wrapper.dataset.index);
-    const tc = wrapper.querySelector('canvas');
-    renderThumb(tc, i, state.color);
+/** Apply a typed value, or restore the readout when it isn't a number. */
+function onPositionInput(input, apply) {
+  input.addEventListener('change', () => {
+    const value = parseFloat(input.value);
+    if (!state.image || !Number.isFinite(value)) {
+      syncPositionControls();
+      return;
+    }
+    recordHistory();
+    apply(value);
+    scheduleRender();
   });
 }
 
-// ── Color picker ───────────────────────────────────────────────────────────
+onPositionInput(panXInput, x => { state.panX += CX + x - imageCenter(state)[0]; });
+onPositionInput(panYInput, y => { state.panY += CY + y - imageCenter(state)[1]; });
+// Zoom about the image centre so the X / Y readouts stay put
+onPositionInput(zoomInput, pct => zoomAt(state, ...imageCenter(state), Math.max(1, pct) / 100 / state.zoom));
 
-colorInput.addEventListener('input', e => {
-  state.color = e.target.value;
-  colorHex.textContent = e.target.value;
+function placeImage(mode) {
+  if (!state.image) return;
+  recordHistory();
+  fitImage(state, mode);
+  scheduleRender();
+}
+
+fitBtn.addEventListener('click',  () => placeImage('fit'));
+fillBtn.addEventListener('click', () => placeImage('fill'));
+resetViewBtn.addEventListener('click', () => {
+  if (!state.image) return;
+  recordHistory();
+  state.rotation = 0;
+  state.flipX    = false;
+  state.flipY    = false;
+  fitImage(state);
+  syncRotationControls();
   scheduleRender();
-  refreshAllThumbs();
 });
 
-// ── Download ───────────────────────────────────────────────────────────────
+// ── Auto-frame ─────────────────────────────────────────────────────────────
 
-downloadBtn.addEventListener('click', async () => {
-  const exportCanvas = document.createElement('canvas');
-  exportCanvas.width  = SIZE;
-  exportCanvas.height = SIZE;
-  const exportCtx = exportCanvas.getContext('2d');
-  await render(exportCtx, SIZE);
+let autoFrame = loadAutoFrameOptions();
+let headroomInputs = [];   // [range, number]
 
-  exportCanvas.toBlob(blob => {
-    const a = document.createElement('a');
-    a.download = 'token.png';
-    a.href = URL.createObjectURL(blob);
-    a.click();
-    URL.revokeObjectURL(a.href);
-  }, 'image/png');
+function buildAutoFrameControls() {
+  headroomInputs = addRangeControl(headroomSlider, AUTOFRAME_HEADROOM, (value, dragging) => {
+    autoFrame = { ...autoFrame, headroom: value };
+    storeAutoFrameOptions(autoFrame);
+    headroomInputs.forEach(input => { input.value = value; });
+    // Re-frame the current image live with the new headroom
+    if (!state.image) return;
+    recordHistory(dragging ? 'headroom' : null);
+    autoFrameImage(state, autoFrame.headroom);
+    scheduleRender();
+  });
+  headroomInputs.forEach(input => { input.value = autoFrame.headroom; });
+  autoFrameImportInput.checked = autoFrame.onImport;
+}
+
+autoFrameImportInput.addEventListener('change', () => {
+  autoFrame = { ...autoFrame, onImport: autoFrameImportInput.checked };
+  storeAutoFrameOptions(autoFrame);
+});
+
+autoFrameBtn.addEventListener('click', () => {
+  if (!state.image) return;
+  recordHistory();
+  autoFrameImage(state, autoFrame.headroom);
+  scheduleRender();
+});
+
+// Every queue item gets its own undo step
+autoFrameAllBtn.addEventListener('click', () => {
+  storeActiveItem();
+  for (const item of state.queue) {
+    pushHistory(item);
+    autoFrameImage(item, autoFrame.headroom);
+  }
+  if (state.activeItem !== -1) restoreToken(state.queue[state.activeItem]);
+  endHistoryGesture();
+  syncControls();
+  buildQueueStrip();
+  scheduleRender();
+  showStatus(`Auto-framed ${state.queue.length} tokens`);
+});
+
+// ── Frame picker ───────────────────────────────────────────────────────────
+
+async function buildFramePicker() {
+  framePicker.innerHTML = '';
+  for (let i = 0; i < FRAMES.length; i++) addFrameThumb(i);
+}
+
+function addFrameThumb(i) {
+  const frame = FRAMES[i];
+
+  const wrapper = document.createElement('div');
+  wrapper.className   = 'frame-thumb' + (i === state.frameIndex ? ' active' : '');
+  wrapper.dataset.index = i;
+  wrapper.tabIndex    = i === state.frameIndex ? 0 : -1;
+  wrapper.setAttribute('role', 'radio');
+  wrapper.setAttribute('aria-checked', i === state.frameIndex);
+  wrapper.setAttribute('aria-label', frame.label);
+
+  const tc = document.createElement('canvas');
+  tc.width  = THUMB;
+  tc.height = THUMB;
+  wrapper.appendChild(tc);
+
+  const label = document.createElement('div');
+  label.className   = 'thumb-label';
+  label.textContent = frame.label;
+  wrapper.appendChild(label);
+
+  if (frame.custom) {
+    const remove = document.createElement('button');
+    remove.className   = 'queue-remove';
+    remove.title       = `Delete ${frame.label}`;
+    remove.textContent = '\u00D7';
+    remove.addEventListener('click', e => {
+      e.stopPropagation();
+      removeCustomFrame(frame.id);
+    });
+    wrapper.appendChild(remove);
+  }
+
+  framePicker.appendChild(wrapper);
+  renderThumb(tc, i);
+
+  wrapper.addEventListener('click', () => selectFrame(i));
+}
+
+function selectFrame(i) {
+  if (i === state.frameIndex) return;
+  recordHistory();
+  state.frameIndex = i;
+  syncFramePicker();
+  syncFrameParamControls();
+  scheduleRender();
+}
+
+/** Mark the active thumbnail, which is also the radio group's one tab stop. */
+function syncFramePicker() {
+  document.querySelectorAll('.frame-thumb').forEach(el => {
+    const active = parseInt(el.dataset.index) === state.frameIndex;
+    el.classList.toggle('active', active);
+    el.setAttribute('aria-checked', active);
+    el.tabIndex = active ? 0 : -1;
+  });
+}
+
+// Radio-group keys: arrows move to and select the previous / next frame
+framePicker.addEventListener('keydown', e => {
+  const thumbs = [...framePicker.querySelectorAll('.frame-thumb')];
+  const at     = thumbs.indexOf(e.target);   // not the delete buttons
+  if (at === -1) return;
+  let next;
+  switch (e.key) {
+    case 'ArrowRight':
+    case 'ArrowDown': next = (at + 1) % thumbs.length; break;
+    case 'ArrowLeft':
+    case 'ArrowUp':   next = (at - 1 + thumbs.length) % thumbs.length; break;
+    case 'Home':      next = 0; break;
+    case 'End':       next = thumbs.length - 1; break;
+    case ' ':
+    case 'Enter':     next = at; break;
+    default: return;
+  }
+  e.preventDefault();
+  thumbs[next].focus();
+  selectFrame(parseInt(thumbs[next].dataset.index));
+});
+
+async function renderThumb(tc, frameIndex) {
+  const tctx = tc.getContext('2d');
+  const draw = beginDraw(tctx);
+  const clip = clipPath(state, frameIndex);
+  let img = null;
+  try {
+    img = await frameRaster(state, THUMB, frameIndex);
+  } catch (e) {
+    console.warn('Thumb render failed:', e);
+  }
+  if (draw.isStale()) return;
+
+  tctx.clearRect(0, 0, THUMB, THUMB);
+  tctx.save();
+  tctx.scale(THUMB / SIZE, THUMB / SIZE);
+  tctx.fillStyle = '#2a2a3a';
+  tctx.fill(clip);
+  tctx.restore();
+  if (img) tctx.drawImage(img, 0, 0, THUMB, THUMB);
+  draw.landed();
+}
+
+// What the frame thumbnails depend on, and its value at their last refresh
+let renderedThumbsKey = null;
+
+function thumbsKey() {
+  return JSON.stringify([state.color, state.palette, state.shape, state.maskProfile, state.frameParams, state.creatureSize]);
+}
+
+function refreshAllThumbs() {
+  renderedThumbsKey = thumbsKey();
+  document.querySelectorAll('.frame-thumb').forEach(wrapper => {
+    const i  = parseInt(wrapper.dataset.index);
+    const tc = wrapper.querySelector('canvas');
+    renderThumb(tc, i);
+  });
+}
+
+// ── Frame options ──────────────────────────────────────────────────────────
+
+let frameParamsFor = null;   // id of the frame the option controls were built for
+let frameParamSyncs = [];    // one (values) => void per control
+
+/** Build the option controls for the active frame from its params schema. */
+function buildFrameParamControls() {
+  const frame = FRAMES[state.frameIndex];
+  frameParamsFor  = frame.id;
+  frameParamSyncs = [];
+  frameParamsPanel.innerHTML = '';
+
+  for (const def of frameSchema(state.frameIndex)) {
+    const { key, label } = def;
+    if (def.type === 'range') {
+      const inputs = addRangeControl(frameParamsPanel, def, (value, dragging) => {
+        setFrameParam(key, value, dragging ? `frame-${key}` : null);
+      });
+      frameParamSyncs.push(values => inputs.forEach(input => { input.value = values[key]; }));
+    } else if (def.type === 'toggle') {
+      const row = document.createElement('label');
+      row.className = 'check-row';
+      const check = document.createElement('input');
+      check.type = 'checkbox';
+      check.addEventListener('change', () => setFrameParam(key, check.checked));
+      row.append(check, label);
+      frameParamsPanel.appendChild(row);
+      frameParamSyncs.push(values => { check.checked = values[key]; });
+    }
+  }
+}
+
+function syncFrameParamControls() {
+  if (FRAMES[state.frameIndex].id !== frameParamsFor) buildFrameParamControls();
+  const values = withDefaults(frameSchema(state.frameIndex), state.frameParams);
+  for (const sync of frameParamSyncs) sync(values);
+  syncAnimationControls();
+}
+
+function setFrameParam(key, value, historyKey = null) {
+  recordHistory(historyKey);
+  state.frameParams = { ...state.frameParams, [key]: value };
+  syncFrameParamControls();
+  scheduleRender();
+  refreshAllThumbs();
+}
+
+// ── Frame import ───────────────────────────────────────────────────────────
+
+let customFrameRecords = [];
+
+function registerCustomFrames() {
+  customFrameRecords = loadStoredFrames();
+  for (const record of customFrameRecords) FRAMES.push(customFrameEntry(record));
+}
+
+frameImportInput.addEventListener('change', async e => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  try {
+    await importFrameFile(file);
+  } catch (err) {
+    console.warn('Frame import failed:', err);
+    showStatus(`Could not import ${file.name}: ${err.message}`, 'error');
+  }
+});
+
+/** Import a frame image file, keep it in this browser and select it. */
+async function importFrameFile(file) {
+  const isSvg  = file.type === 'image/svg+xml' || /\.svg$/i.test(file.name);
+  const record = {
+    id:      `custom-${Date.now().toString(36)}`,
+    label:   file.name.replace(/\.[^.]+$/, '').slice(0, 16) || 'Custom',
+    kind:    isSvg ? 'svg' : 'png',
+    data:    isSvg ? await file.text() : await readAsDataURL(file),
+    recolor: isSvg && frameRecolorInput.checked,
+    clipR:   CLIP_R,
+    profile: null,
+  };
+
+  // Rasterize once at SIZE to find the transparent hole the image shows through.
+  // A PNG is decoded first: wrapped in the frame SVG, a broken one draws nothing.
+  let img;
+  try {
+    if (!isSvg) await loadImage(file);
+    img = await svgToImage(customFrameEntry(record).fn(state.color));
+  } catch (err) {
+    throw new Error('not a readable image');
+  }
+  const fc = document.createElement('canvas');
+  fc.width  = SIZE;
+  fc.height = SIZE;
+  const fctx = fc.getContext('2d');
+  fctx.drawImage(img, 0, 0, SIZE, SIZE);
+  const hole = detectFrameHole(fctx.getImageData(0, 0, SIZE, SIZE).data, SIZE);
+  if (hole) {
+    record.clipR   = hole.clipR;
+    record.profile = hole.profile;
+  } else {
+    console.warn('No enclosed transparent centre found; using the default clip circle');
+  }
+
+  if (!storeFrames([...customFrameRecords, record])) {
+    throw new Error('it is too big to keep in this browser\'s storage');
+  }
+  customFrameRecords.push(record);
+  FRAMES.push(customFrameEntry(record));
+  addFrameThumb(FRAMES.length - 1);
+  framePicker.lastElementChild.click();
+}
+
+function removeCustomFrame(id) {
+  const index = FRAMES.findIndex(f => f.id === id);
+  if (index === -1) return;
+  FRAMES.splice(index, 1);
+  customFrameRecords = customFrameRecords.filter(r => r.id !== id);
+  storeFrames(customFrameRecords);
+
+  // Keep every token pointing at the same frame after the indices shift
+  storeActiveItem();
+  const tokens = [state, ...state.queue];
+  for (const token of [...tokens]) tokens.push(...token.history.past, ...token.history.future);
+  for (const token of tokens) {
+    if (token.frameIndex === index) token.frameIndex = 0;
+    else if (token.frameIndex > index) token.frameIndex--;
+  }
+  buildFramePicker();
+  buildQueueStrip();
+  syncFrameParamControls();
+  scheduleRender();
+}
+
+// ── Projects & library ─────────────────────────────────────────────────────
+
+/** A token's SETTING_KEYS as plain JSON, with the frame stored by id. */
+function tokenSettings(token) {
+  const settings = {};
+  for (const key of SETTING_KEYS) {
+    if (key === 'frameIndex') settings.frame = FRAMES[token.frameIndex].id;
+    else settings[key] = token[key];
+  }
+  return settings;
+}
+
+/** Apply saved settings onto a token; unknown frame ids fall back to the first frame. */
+function applyTokenSettings(token, settings) {
+  for (const key of SETTING_KEYS) {
+    if (key === 'frameIndex') token.frameIndex = Math.max(0, FRAMES.findIndex(f => f.id === settings.frame));
+    else if (key in settings) token[key] = settings[key];
+  }
+}
+
+async function tokenProject(token) {
+  const frame = FRAMES[token.frameIndex];
+  return buildProject({
+    name:        token.name || 'token',
+    image:       await readAsDataURL(token.source),
+    settings:    tokenSettings(token),
+    customFrame: frame.custom ? customFrameRecords.find(r => r.id === frame.id) : null,
+  });
+}
+
+/**
+ * A token for a parsed project, not yet in the queue. Its custom frame is
+ * imported first if this browser has not seen it — or with `importFrame`
+ * false, only carried on the token for drawing it (see tokenFrame).
+ */
+async function projectToken(project, libraryId = null, importFrame = true) {
+  const record   = project.customFrame;
+  const newFrame = record && !FRAMES.some(f => f.id === record.id);
+  if (newFrame && importFrame) {
+    customFrameRecords.push(record);
+    storeFrames(customFrameRecords);
+    FRAMES.push(customFrameEntry(record));
+    addFrameThumb(FRAMES.length - 1);
+  }
+
+  const source = dataURLToBlob(project.image);
+  const item   = captureToken({});
+  item.name      = project.name || 'token';
+  item.image     = await loadImage(source);
+  item.source    = source;
+  item.libraryId = libraryId;
+  item.history   = newHistory();
+  applyTokenSettings(item, project.settings || {});
+  if (newFrame && !importFrame) item.frameEntry = customFrameEntry(record);
+  return item;
+}
+
+/** Add a parsed project to the queue as a new item and select it. */
+async function openProject(project, libraryId = null) {
+  state.queue.push(await projectToken(project, libraryId));
+  selectQueueItem(state.queue.length - 1);
+}
+
+saveProjectBtn.addEventListener('click', async () => {
+  if (!state.source) return;
+  const project = await tokenProject(state);
+  const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
+  downloadBlob(blob, `${project.name}.token.json`);
+});
+
+projectInput.addEventListener('change', async e => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  try {
+    await openProject(parseProject(await file.text()));
+  } catch (err) {
+    console.warn('Could not open project:', err.message);
+  }
+});
+
+saveLibraryBtn.addEventListener('click', async () => {
+  if (!state.source) return;
+  const thumb = document.createElement('canvas');
+  thumb.width  = THUMB * 2;
+  thumb.height = THUMB * 2;
+  await render(thumb.getContext('2d'), THUMB * 2, state);
+
+  state.libraryId = state.libraryId || `token-${Date.now().toString(36)}`;
+  const project = await tokenProject(state);
+  try {
+    await libraryPut({
+      id:        state.libraryId,
+      name:      project.name,
+      updated:   Date.now(),
+      thumb:     thumb.toDataURL('image/png'),
+      imageHash: await imageHash(state.source),
+      project,
+    });
+  } catch (err) {
+    console.warn('Could not save to library:', err);
+    showStatus('Could not save to the library', 'error');
+  }
+  buildLibraryList();
+  scheduleShareUpdate();   // the link can now name the image
+});
+
+async function buildLibraryList() {
+  let records;
+  try {
+    records = await libraryList();
+  } catch (err) {
+    console.warn('Library unavailable:', err);
+    return;
+  }
+  libraryStrip.innerHTML = '';
+  for (const record of records) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'queue-thumb';
+    wrapper.title     = `${record.name} — ${new Date(record.updated).toLocaleString()}`;
+
+    const img = document.createElement('img');
+    img.src = record.thumb;
+    img.alt = record.name;
+    wrapper.appendChild(img);
+
+    const remove = document.createElement('button');
+    remove.className   = 'queue-remove';
+    remove.title       = `Delete ${record.name} from the library`;
+    remove.textContent = '\u00D7';
+    remove.addEventListener('click', async e => {
+      e.stopPropagation();
+      try {
+        await libraryDelete(record.id);
+      } catch (err) {
+        console.warn('Could not delete from library:', err);
+        showStatus(`Could not delete ${record.name} from the library`, 'error');
+      }
+      buildLibraryList();
+    });
+    wrapper.appendChild(remove);
+
+    wrapper.addEventListener('click', async () => {
+      let fresh;
+      try {
+        fresh = await libraryGet(record.id);
+      } catch (err) {
+        console.warn('Could not read from library:', err);
+        showStatus(`Could not open ${record.name} from the library`, 'error');
+        return;
+      }
+      if (fresh) openProject(fresh.project, fresh.id).catch(console.error);
+    });
+    libraryStrip.appendChild(wrapper);
+  }
+}
+
+// ── Share links ────────────────────────────────────────────────────────────
+
+const SHARE_UPDATE_MS = 300;   // the address bar follows edits after this pause
+
+const imageHashes = new WeakMap();   // source Blob → Promise of contentHash()
+let shareUpdateTimer = null;
+let pendingShare     = null;         // link waiting for an image to apply to
+
+/** Content hash of a source image, computed once; null where hashing is unavailable. */
+function imageHash(source) {
+  if (!imageHashes.has(source)) {
+    imageHashes.set(source, contentHash(source).catch(err => {
+      console.warn('Could not hash image:', err);
+      return null;
+    }));
+  }
+  return imageHashes.get(source);
+}
+
+/** The share link hash for a token; it names the image only when it is in the library. */
+async function shareHash(token) {
+  return encodeShare({
+    settings: tokenSettings(token),
+    view:     token.image ? shareView(token) : null,
+    image:    token.libraryId && token.source ? await imageHash(token.source) : null,
+  }, tokenSettings(createToken()));
+}
+
+/** Keep the address bar's hash a link to the token being edited. */
+function scheduleShareUpdate() {
+  if (!state.image) return;   // leave an unapplied link in place
+  clearTimeout(shareUpdateTimer);
+  shareUpdateTimer = setTimeout(async () => {
+    const hash = await shareHash(state);
+    if (hash !== location.hash) history.replaceState(null, '', hash);
+  }, SHARE_UPDATE_MS);
+}
+
+/** The library record whose source image has this content hash, or null. */
+async function findLibraryImage(hash) {
+  for (const record of await libraryList()) {
+    if (!record.imageHash) {
+      // Records saved before links existed get their hash filled in
+      record.imageHash = await imageHash(dataURLToBlob(record.project.image));
+      libraryPut(record).catch(err => console.warn('Could not update library record:', err));
+    }
+    if (record.imageHash === hash) return record;
+  }
+  return null;
+}
+
+/** Apply a decoded link's settings and placement to the token being edited. */
+function applyShareLink(link) {
+  recordHistory();
+  applyTokenSettings(state, link.settings);
+  if (link.view) applyShareView(state, link.view);
+  else fitImage(state);
+  syncControls();
+  scheduleRender();
+}
+
+/**
+ * Open a share link hash: on its image from the library when the link names
+ * one we have, else on the image being edited, else on the next one added.
+ */
+async function openShareLink(hash) {
+  let link;
+  try {
+    link = decodeShare(hash, tokenSettings(createToken()));
+  } catch (err) {
+    showStatus(err.message, 'error');
+    return;
+  }
+  if (!link) return;
+
+  if (link.image) {
+    let record = null;
+    try {
+      record = await findLibraryImage(link.image);
+    } catch (err) {
+      console.warn('Library unavailable:', err);
+    }
+    if (record) {
+      await openProject(record.project, record.id);
+      applyShareLink(link);
+      return;
+    }
+  }
+  if (state.image) {
+    applyShareLink(link);
+    if (link.image) showStatus('The linked image is not in your library, so its look was applied to this image');
+  } else {
+    pendingShare = link;
+    showStatus('Add an image to give it the linked token\'s look');
+  }
+}
+
+shareLinkBtn.addEventListener('click', async () => {
+  const url = location.href.replace(/#.*$/, '') + await shareHash(state);
+  history.replaceState(null, '', url);
+  try {
+    await navigator.clipboard.writeText(url);
+    showStatus('Link copied');
+  } catch (err) {
+    console.warn('Could not copy link:', err);
+    showStatus('Could not copy the link — copy it from the address bar instead', 'error');
+  }
+});
+
+window.addEventListener('hashchange', () => openShareLink(location.hash));
+
+// ── Shape picker ───────────────────────────────────────────────────────────
+
+function buildShapePicker() {
+  for (const shape of SHAPES) {
+    const option = document.createElement('option');
+    option.value       = shape.id;
+    option.textContent = shape.label;
+    shapeSelect.insertBefore(option, shapeSelect.lastElementChild);
+  }
+  shapeSelect.value = state.shape;
+  for (const size of CREATURE_SIZES) {
+    const squares = size.squares < 1 ? '½' : `${size.squares}×${size.squares}`;
+    creatureSizeSelect.add(new Option(`${size.label} (${squares})`, size.id));
+  }
+  creatureSizeSelect.value = state.creatureSize;
+}
+
+shapeSelect.addEventListener('change', () => {
+  recordHistory();
+  state.shape = shapeSelect.value;
+  scheduleRender();
+  refreshAllThumbs();
+});
+
+// Picking a size also switches export to grid sizing, where it takes effect
+creatureSizeSelect.addEventListener('change', () => {
+  recordHistory();
+  state.creatureSize = creatureSizeSelect.value;
+  exportGrid.checked = true;
+  scheduleRender();
+  refreshAllThumbs();
+});
+
+/**
+ * Custom mask: the image's alpha channel (contain-fitted to the token) is
+ * traced into an outline, which then drives the clip and frames like any
+ * built-in shape.
+ */
+maskInput.addEventListener('change', async e => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  let img;
+  try {
+    img = await loadImage(file);
+  } catch (err) {
+    console.warn(err.message);
+    return;
+  }
+  const mc = document.createElement('canvas');
+  mc.width  = SIZE;
+  mc.height = SIZE;
+  const mctx  = mc.getContext('2d');
+  const scale = Math.min(SIZE / img.width, SIZE / img.height);
+  const w = img.width * scale, h = img.height * scale;
+  mctx.drawImage(img, (SIZE - w) / 2, (SIZE - h) / 2, w, h);
+
+  const profile = radialProfile(mctx.getImageData(0, 0, SIZE, SIZE).data, SIZE);
+  if (Math.max(...profile) === 0) {
+    console.warn('Mask image has no opaque pixels');
+    return;
+  }
+  recordHistory();
+  state.shape       = 'custom';
+  state.maskProfile = profile;
+  syncControls();
+  scheduleRender();
+});
+
+// ── Rotation & flip ────────────────────────────────────────────────────────
+
+function syncRotationControls() {
+  const deg = Math.round(state.rotation * 10) / 10;
+  rotationRange.value = deg;
+  rotationInput.value = deg;
+  flipXBtn.classList.toggle('active', state.flipX);
+  flipYBtn.classList.toggle('active', state.flipY);
+  flipXBtn.setAttribute('aria-pressed', state.flipX);
+  flipYBtn.setAttribute('aria-pressed', state.flipY);
+}
+
+function setRotation(deg, historyKey = null) {
+  recordHistory(historyKey);
+  state.rotation = normalizeAngle(deg);
+  syncRotationControls();
+  scheduleRender();
+}
+
+rotationRange.addEventListener('input', () => setRotation(parseFloat(rotationRange.value), 'rotation'));
+rotationRange.addEventListener('change', endHistoryGesture);
+rotationInput.addEventListener('change', () => {
+  const deg = parseFloat(rotationInput.value);
+  if (Number.isFinite(deg)) setRotation(deg);
+  else syncRotationControls();
+});
+rotateLeftBtn.addEventListener('click',  () => setRotation(Math.round(state.rotation - 90)));
+rotateRightBtn.addEventListener('click', () => setRotation(Math.round(state.rotation + 90)));
+
+flipXBtn.addEventListener('click', () => {
+  recordHistory();
+  state.flipX = !state.flipX;
+  syncRotationControls();
+  scheduleRender();
+});
+
+flipYBtn.addEventListener('click', () => {
+  recordHistory();
+  state.flipY = !state.flipY;
+  syncRotationControls();
+  scheduleRender();
+});
+
+// ── Generated controls ─────────────────────────────────────────────────────
+
+/**
+ * Append a labelled slider with a numeric readout to `container`.
+ * onChange(value, dragging) fires while the slider moves (dragging = true,
+ * one history gesture until release) and when a number is typed.
+ * Returns the [range, number] inputs.
+ */
+function addRangeControl(container, { label, min, max, step = 1 }, onChange) {
+  const title = document.createElement('div');
+  title.className   = 'range-label';
+  title.textContent = label;
+
+  const row = document.createElement('div');
+  row.className = 'range-row';
+  const inputs = ['range', 'number'].map(type => {
+    const input = document.createElement('input');
+    input.type  = type;
+    input.min   = min;
+    input.max   = max;
+    input.step  = step;
+    input.setAttribute('aria-label', label);
+    row.appendChild(input);
+    return input;
+  });
+  const [range, number] = inputs;
+
+  range.addEventListener('input', () => onChange(parseFloat(range.value), true));
+  range.addEventListener('change', endHistoryGesture);
+  number.addEventListener('change', () => {
+    const v = parseFloat(number.value);
+    if (Number.isFinite(v)) onChange(Math.max(min, Math.min(max, v)), false);
+    else number.value = range.value;
+  });
+
+  container.append(title, row);
+  return inputs;
+}
+
+// ── Adjustments ────────────────────────────────────────────────────────────
+
+const adjustInputs = {};   // adjust key → [range, number]
+
+function addAdjustSlider(container, def) {
+  adjustInputs[def.key] = addRangeControl(container, def, (value, dragging) => {
+    setAdjust({ [def.key]: value }, dragging ? `adjust-${def.key}` : null);
+  });
+}
+
+function buildAdjustControls() {
+  for (const def of ADJUST_SLIDERS) addAdjustSlider(adjustSliders, def);
+  for (const preset of ADJUST_PRESETS) {
+    const btn = document.createElement('button');
+    btn.className   = 'tool-btn';
+    btn.textContent = preset.label;
+    btn.addEventListener('click', () => setAdjust(preset.values));
+    adjustPresets.appendChild(btn);
+  }
+  addAdjustSlider(toleranceSlider, ADJUST_TOLERANCE);
+  syncAdjustControls();
+}
+
+function syncAdjustControls() {
+  const a = state.adjust;
+  for (const [key, inputs] of Object.entries(adjustInputs)) {
+    for (const input of inputs) input.value = a[key];
+  }
+  removeBgSelect.value   = a.removeBg;
+  keyColorInput.value    = a.keyColor;
+  adjustInputs.tolerance.forEach(input => { input.disabled = a.removeBg === 'none'; });
+  keyColorInput.disabled = keyPickBtn.disabled = a.removeBg === 'none';
+}
+
+function setAdjust(changes, historyKey = null) {
+  recordHistory(historyKey);
+  state.adjust = { ...state.adjust, ...changes };
+  syncAdjustControls();
+  scheduleRender();
+}
+
+/** Guess the background color from the source image's edge pixels. */
+function sampleBorderColor(image) {
+  const scale = Math.min(1, 128 / Math.max(image.width, image.height));
+  const w = Math.max(1, Math.round(image.width  * scale));
+  const h = Math.max(1, Math.round(image.height * scale));
+  const sc = document.createElement('canvas');
+  sc.width  = w;
+  sc.height = h;
+  const sctx = sc.getContext('2d');
+  sctx.drawImage(image, 0, 0, w, h);
+  return borderColor(sctx.getImageData(0, 0, w, h).data, w, h);
+}
+
+removeBgSelect.addEventListener('change', () => {
+  const changes = { removeBg: removeBgSelect.value };
+  // Start from the image's own edge color the first time removal is enabled
+  if (state.adjust.removeBg === 'none' && changes.removeBg !== 'none' && state.image) {
+    changes.keyColor = sampleBorderColor(state.image);
+  }
+  setAdjust(changes);
+});
+
+keyColorInput.addEventListener('input', () => setAdjust({ keyColor: keyColorInput.value }, 'keyColor'));
+keyColorInput.addEventListener('change', endHistoryGesture);
+
+keyPickBtn.addEventListener('click', () => {
+  if (state.image) setAdjust({ keyColor: sampleBorderColor(state.image) });
+});
+
+// ── Background ─────────────────────────────────────────────────────────────
+
+function buildBackgroundControls() {
+  for (const mode of BACKGROUND_MODES) {
+    const option = document.createElement('option');
+    option.value       = mode.id;
+    option.textContent = mode.label;
+    bgModeSelect.appendChild(option);
+  }
+  for (const texture of TEXTURES) {
+    const option = document.createElement('option');
+    option.value       = texture.id;
+    option.textContent = texture.label;
+    bgTextureSelect.insertBefore(option, uploadTextureOption);
+  }
+  syncBackgroundControls();
+}
+
+function syncBackgroundControls() {
+  const bg = state.background;
+  bgModeSelect.value    = bg.mode;
+  bgColorInput.value    = bg.color;
+  uploadTextureOption.disabled = !bg.upload;
+  bgTextureSelect.value = bg.texture;
+  bgColorRow.hidden     = bg.mode !== 'solid';
+  bgTextureRow.hidden   = bg.mode !== 'texture';
+}
+
+function setBackground(changes, historyKey = null) {
+  recordHistory(historyKey);
+  state.background = { ...state.background, ...changes };
+  syncBackgroundControls();
+  scheduleRender();
+}
+
+bgModeSelect.addEventListener('change', () => setBackground({ mode: bgModeSelect.value }));
+bgTextureSelect.addEventListener('change', () => setBackground({ texture: bgTextureSelect.value }));
+bgColorInput.addEventListener('input', () => setBackground({ color: bgColorInput.value }, 'bgColor'));
+bgColorInput.addEventListener('change', endHistoryGesture);
+
+/** Uploaded tiles are stored (scaled down) as a PNG data URL in the token's settings. */
+bgTextureInput.addEventListener('change', async e => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  let img;
+  try {
+    img = await loadImage(file);
+  } catch (err) {
+    console.warn(err.message);
+    return;
+  }
+  const scale = Math.min(1, TEXTURE_UPLOAD_MAX / Math.max(img.width, img.height));
+  const tc = document.createElement('canvas');
+  tc.width  = Math.max(1, Math.round(img.width  * scale));
+  tc.height = Math.max(1, Math.round(img.height * scale));
+  tc.getContext('2d').drawImage(img, 0, 0, tc.width, tc.height);
+  setBackground({ mode: 'texture', texture: 'upload', upload: tc.toDataURL('image/png') });
+});
+
+// ── Pop-out ────────────────────────────────────────────────────────────────
+
+const BRUSH_TINT = 'rgba(255,80,120,0.45)';   // how the mask shows while painting
+
+let brushStroke = null;   // { canvas, key } while a stroke is being painted
+let strokeCount = 0;
+
+function setPopOut(changes, historyKey = null) {
+  recordHistory(historyKey);
+  state.popOut = { ...state.popOut, ...changes };
+  syncPopOutControls();
+  scheduleRender();
+}
+
+/** True when a drag on the preview paints the mask instead of moving the image. */
+function brushActive() {
+  return !!state.brush && state.popOut.enabled && !!state.image;
+}
+
+function buildPopOutControls() {
+  for (const el of [popOutBrushRange, popOutBrushInput]) {
+    el.min = POP_OUT_BRUSH_MIN;
+    el.max = POP_OUT_BRUSH_MAX;
+  }
+}
+
+function syncPopOutControls() {
+  const usable = state.popOut.enabled && !!state.image;
+  popOutToggle.checked = state.popOut.enabled;
+  for (const [btn, brush] of [[popOutPaintBtn, 'paint'], [popOutEraseBtn, 'erase']]) {
+    btn.disabled = !usable;
+    btn.classList.toggle('active', usable && state.brush === brush);
+    btn.setAttribute('aria-pressed', usable && state.brush === brush);
+  }
+  popOutClearBtn.disabled = !state.popOut.mask;
+  popOutBrushRange.value  = popOutBrushInput.value = state.brushSize;
+}
+
+/** Turn a brush on, or off when it is already the one in use. */
+function selectBrush(brush) {
+  state.brush   = state.brush === brush ? null : brush;
+  state.brushAt = null;
+  overlay.style.cursor = state.brush ? 'none' : 'grab';
+  syncPopOutControls();
+  renderOverlay();
+}
+
+/**
+ * Start a stroke at canvas point (x, y). The stroke paints on a copy of
+ * the mask that stands in for it (under a temporary key) until the stroke
+ * ends, so the preview follows the brush without re-encoding the mask. An
+ * erase on an empty mask starts from the whole image.
+ */
+function startBrushStroke(x, y) {
+  const current = state.popOut.mask && popOutMasks.get(state.popOut.mask);
+  if (state.popOut.mask && !current) return;   // still decoding
+
+  const [mw, mh] = popOutMaskSize(state.image);
+  const canvas = document.createElement('canvas');
+  canvas.width  = mw;
+  canvas.height = mh;
+  const mc = canvas.getContext('2d');
+  if (current) {
+    mc.drawImage(current, 0, 0, mw, mh);
+  } else if (state.brush === 'erase') {
+    mc.fillStyle = '#fff';
+    mc.fillRect(0, 0, mw, mh);
+  }
+
+  recordHistory();
+  brushStroke = { canvas, key: `stroke:${++strokeCount}` };
+  cachePopOutMask(brushStroke.key, canvas);
+  state.popOut  = { ...state.popOut, mask: brushStroke.key };
+  state.mode    = 'paint';
+  state.brushAt = [x, y];
+  brushStrokeTo(x, y);
+}
+
+/** Continue the stroke in a straight line to canvas point (x, y). */
+function brushStrokeTo(x, y) {
+  if (!brushStroke) return;
+  const [x0, y0, r] = popOutMaskPoint(state, ...state.brushAt, state.brushSize);
+  const [x1, y1]    = popOutMaskPoint(state, x, y, state.brushSize);
+  const mc = brushStroke.canvas.getContext('2d');
+  mc.globalCompositeOperation = state.brush === 'erase' ? 'destination-out' : 'source-over';
+  mc.strokeStyle = '#fff';
+  mc.lineWidth   = 2 * r;
+  mc.lineCap     = 'round';
+  mc.beginPath();
+  mc.moveTo(x0, y0);
+  mc.lineTo(x1, y1);
+  mc.stroke();
+  state.brushAt = [x, y];
+  scheduleRender();
+}
+
+/** Store the painted mask on the token as a PNG data URL. */
+function finishBrushStroke() {
+  if (!brushStroke) return;
+  const { canvas, key } = brushStroke;
+  const mask = canvas.toDataURL('image/png');
+  popOutMasks.delete(key);
+  cachePopOutMask(mask, canvas);
+  brushStroke  = null;
+  state.popOut = { ...state.popOut, mask };
+  syncPopOutControls();
+  scheduleRender();
+}
+
+/**
+ * The overlay while a brush is on: the mask tinted over the image, the
+ * line the pop-out starts above, and the brush outline.
+ */
+function renderBrushOverlay() {
+  const mask = state.popOut.mask && popOutMasks.get(state.popOut.mask);
+  if (mask) {
+    const tint = document.createElement('canvas');
+    tint.width  = mask.width;
+    tint.height = mask.height;
+    const tc = tint.getContext('2d');
+    tc.drawImage(mask, 0, 0);
+    tc.globalCompositeOperation = 'source-in';
+    tc.fillStyle = BRUSH_TINT;
+    tc.fillRect(0, 0, tint.width, tint.height);
+
+    const w = state.image.width  * state.zoom;
+    const h = state.image.height * state.zoom;
+    octx.save();
+    applyImageTransform(octx, state);
+    octx.drawImage(tint, -w / 2, -h / 2, w, h);
+    octx.restore();
+  }
+
+  octx.save();
+  octx.strokeStyle = 'rgba(255,255,255,0.5)';
+  octx.lineWidth   = 1;
+  octx.setLineDash([5, 4]);
+  octx.beginPath();
+  octx.moveTo(0, POP_OUT_LINE + 0.5);
+  octx.lineTo(SIZE, POP_OUT_LINE + 0.5);
+  octx.stroke();
+  octx.restore();
+
+  if (state.brushAt) {
+    octx.beginPath();
+    octx.arc(...state.brushAt, state.brushSize, 0, Math.PI * 2);
+    octx.strokeStyle = state.brush === 'erase' ? 'rgba(255,255,255,0.9)' : 'rgba(255,80,120,0.95)';
+    octx.lineWidth   = 1.5;
+    octx.stroke();
+  }
+}
+
+popOutToggle.addEventListener('change', () => setPopOut({ enabled: popOutToggle.checked }));
+popOutPaintBtn.addEventListener('click', () => selectBrush('paint'));
+popOutEraseBtn.addEventListener('click', () => selectBrush('erase'));
+popOutClearBtn.addEventListener('click', () => setPopOut({ mask: null }));
+
+function setBrushSize(value) {
+  if (!Number.isFinite(value)) return;
+  state.brushSize = Math.min(POP_OUT_BRUSH_MAX, Math.max(POP_OUT_BRUSH_MIN, Math.round(value)));
+  syncPopOutControls();
+  renderOverlay();
+}
+
+popOutBrushRange.addEventListener('input', () => setBrushSize(parseFloat(popOutBrushRange.value)));
+popOutBrushInput.addEventListener('change', () => setBrushSize(parseFloat(popOutBrushInput.value)));
+
+// ── Labels ─────────────────────────────────────────────────────────────────
+
+function buildLabelControls() {
+  for (let hour = 1; hour <= 12; hour++) {
+    const option = document.createElement('option');
+    option.value       = hour;
+    option.textContent = `${hour} o'clock`;
+    badgeClock.appendChild(option);
+  }
+  syncLabelControls();
+}
+
+function syncLabelControls() {
+  const l = state.labels;
+  // Don't fight the caret while the user is typing
+  if (bannerText.value !== l.banner) bannerText.value = l.banner;
+  if (badgeText.value  !== l.badge)  badgeText.value  = l.badge;
+  bannerPos.value  = l.bannerPos;
+  badgeClock.value = l.badgeClock;
+}
+
+function setLabels(changes, historyKey = null) {
+  recordHistory(historyKey);
+  state.labels = { ...state.labels, ...changes };
+  syncLabelControls();
+  syncVttControls();
+  scheduleRender();
+}
+
+// Typing is one undo step per field until it loses focus
+bannerText.addEventListener('input', () => setLabels({ banner: bannerText.value }, 'banner'));
+bannerText.addEventListener('change', endHistoryGesture);
+badgeText.addEventListener('input', () => setLabels({ badge: badgeText.value }, 'badge'));
+badgeText.addEventListener('change', endHistoryGesture);
+bannerPos.addEventListener('change', () => setLabels({ bannerPos: bannerPos.value }));
+badgeClock.addEventListener('change', () => setLabels({ badgeClock: parseInt(badgeClock.value) }));
+
+/**
+ * Number series: the current token exported once per badge 1…N (or A…),
+ * all in one ZIP — e.g. six goblins that can be told apart on the table.
+ */
+seriesBtn.addEventListener('click', async () => {
+  if (!state.source) return;
+  const count = Math.max(2, Math.min(99, parseInt(seriesCount.value) || 2));
+  const style = seriesStyle.value;
+  seriesBtn.disabled = true;
+  try {
+    const options = exportOptions();
+    const used    = new Set();
+    const files   = [];
+    for (let n = 1; n <= count; n++) {
+      const badge = seriesLabel(n, style);
+      const token = { ...state, name: `${state.name || 'token'}-${badge}`, labels: { ...state.labels, badge } };
+      files.push(...await exportToken(token, options, used));
+    }
+    downloadBlob(await buildZip(files), `${state.name || 'token'}-series.zip`);
+  } finally {
+    seriesBtn.disabled = false;
+  }
+});
+
+// ── Conditions ─────────────────────────────────────────────────────────────
+
+const conditionButtons = {};   // condition id → toggle button
+
+function buildConditionControls() {
+  for (const condition of CONDITIONS) {
+    const btn    = document.createElement('button');
+    const swatch = document.createElement('span');
+    btn.className    = 'tool-btn condition-btn';
+    swatch.className = 'condition-swatch';
+    swatch.style.background = condition.color;
+    btn.append(swatch, condition.label);
+    btn.addEventListener('click', () => toggleCondition(condition.id));
+    conditionToggles.appendChild(btn);
+    conditionButtons[condition.id] = btn;
+  }
+  syncConditionControls();
+}
+
+function syncConditionControls() {
+  for (const [id, btn] of Object.entries(conditionButtons)) {
+    const on = state.conditions.includes(id);
+    btn.classList.toggle('active', on);
+    btn.setAttribute('aria-pressed', on);
+  }
+}
+
+function setConditions(conditions) {
+  recordHistory();
+  state.conditions = conditions;
+  syncConditionControls();
+  scheduleRender();
+}
+
+function toggleCondition(id) {
+  setConditions(state.conditions.includes(id)
+    ? state.conditions.filter(c => c !== id)
+    : [...state.conditions, id]);
+}
+
+/**
+ * Condition set: the current token as a PNG without conditions and once
+ * per condition, all in one ZIP — ready to swap in on the virtual tabletop.
+ */
+conditionSetBtn.addEventListener('click', async () => {
+  if (!state.source) return;
+  conditionSetBtn.disabled = true;
+  try {
+    const options = { ...exportOptions(), format: 'png' };
+    const used    = new Set();
+    const name    = state.name || 'token';
+    const files   = await exportToken({ ...state, name, conditions: [] }, options, used);
+    for (const condition of CONDITIONS) {
+      const token = { ...state, name: `${name}-${condition.id}`, conditions: [condition.id] };
+      files.push(...await exportToken(token, options, used));
+    }
+    downloadBlob(await buildZip(files), `${name}-conditions.zip`);
+  } finally {
+    conditionSetBtn.disabled = false;
+  }
+});
+
+// ── Color picker ───────────────────────────────────────────────────────────
+
+colorInput.addEventListener('input', e => {
+  recordHistory('color');
+  state.color = e.target.value;
+  colorHex.textContent = e.target.value;
+  syncPaletteControls();   // unset slots follow the frame color
+  scheduleRender();
+  refreshAllThumbs();
+});
+
+// 'change' fires when the picker closes — one picker session is one undo step
+colorInput.addEventListener('change', endHistoryGesture);
+
+// ── Palette ────────────────────────────────────────────────────────────────
+
+const PALETTE_LABELS = { metal: 'Metal', accent: 'Accent', gem: 'Gem', shadow: 'Shadow', glow: 'Glow' };
+
+let savedPalettes = [];
+const paletteSlotInputs = {};   // slot → { input, auto }
+
+/** Every palette the picker offers, keyed by its option value. */
+function paletteChoices() {
+  return [
+    { value: 'auto', slots: AUTO_PALETTE },
+    ...PALETTE_PRESETS.map(p => ({ value: p.id, slots: p.slots })),
+    ...savedPalettes.map(p => ({ value: `saved-${p.id}`, slots: p.slots })),
+  ];
+}
+
+function buildPaletteSelect() {
+  paletteSelect.innerHTML = '';
+  const add = (parent, value, label) => {
+    const option = document.createElement('option');
+    option.value       = value;
+    option.textContent = label;
+    parent.appendChild(option);
+  };
+  add(paletteSelect, 'auto', 'Auto (from frame color)');
+  const presets = document.createElement('optgroup');
+  presets.label = 'Presets';
+  for (const p of PALETTE_PRESETS) add(presets, p.id, p.label);
+  paletteSelect.appendChild(presets);
+  if (savedPalettes.length) {
+    const saved = document.createElement('optgroup');
+    saved.label = 'Saved';
+    for (const p of savedPalettes) add(saved, `saved-${p.id}`, p.label);
+    paletteSelect.appendChild(saved);
+  }
+  add(paletteSelect, 'custom', 'Custom');
+  paletteSelect.lastElementChild.disabled = true;
+}
+
+function buildPaletteControls() {
+  savedPalettes = loadSavedPalettes();
+  buildPaletteSelect();
+  for (const slot of PALETTE_SLOTS) {
+    const row = document.createElement('div');
+    row.className = 'color-row';
+    const title = document.createElement('span');
+    title.className   = 'range-label';
+    title.textContent = PALETTE_LABELS[slot];
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.setAttribute('aria-label', `${PALETTE_LABELS[slot]} color`);
+    input.addEventListener('input', () => setPalette({ [slot]: input.value }, `palette-${slot}`));
+    input.addEventListener('change', endHistoryGesture);
+    // An unset slot derives from the frame color; "Auto" goes back to that
+    const auto = document.createElement('button');
+    auto.className   = 'tool-btn';
+    auto.textContent = 'Auto';
+    auto.title       = 'Derive from the frame color';
+    auto.addEventListener('click', () => setPalette({ [slot]: null }));
+    row.append(title, input, auto);
+    paletteSlots.appendChild(row);
+    paletteSlotInputs[slot] = { input, auto };
+  }
+  syncPaletteControls();
+}
+
+function syncPaletteControls() {
+  const p = state.palette;
+  // Unset slots show the color they currently derive to
+  const tones   = paletteTones(state.color, p);
+  const derived = { metal: tones.metal.base, accent: tones.accent.base, gem: tones.gem.base, shadow: tones.metal.vdark, glow: tones.glow.base };
+  for (const slot of PALETTE_SLOTS) {
+    const { input, auto } = paletteSlotInputs[slot];
+    input.value   = p[slot] || derived[slot];
+    auto.disabled = !p[slot];
+  }
+  const match = paletteChoices().find(c => samePalette(c.slots, p));
+  paletteSelect.value = match ? match.value : 'custom';
+  deletePaletteBtn.disabled = !paletteSelect.value.startsWith('saved-');
+}
+
+function setPalette(changes, historyKey = null) {
+  recordHistory(historyKey);
+  state.palette = { ...state.palette, ...changes };
+  syncPaletteControls();
+  scheduleRender();
+  refreshAllThumbs();
+}
+
+paletteSelect.addEventListener('change', () => {
+  const choice = paletteChoices().find(c => c.value === paletteSelect.value);
+  if (choice) setPalette({ ...AUTO_PALETTE, ...choice.slots });
+});
+
+savePaletteBtn.addEventListener('click', () => {
+  const label = paletteName.value.trim() || `Palette ${savedPalettes.length + 1}`;
+  savedPalettes.push({ id: Date.now().toString(36), label, slots: { ...state.palette } });
+  storeSavedPalettes(savedPalettes);
+  paletteName.value = '';
+  buildPaletteSelect();
+  syncPaletteControls();
+});
+
+deletePaletteBtn.addEventListener('click', () => {
+  const id = paletteSelect.value.replace(/^saved-/, '');
+  savedPalettes = savedPalettes.filter(p => p.id !== id);
+  storeSavedPalettes(savedPalettes);
+  buildPaletteSelect();
+  syncPaletteControls();
+});
+
+// ── Export ─────────────────────────────────────────────────────────────────
+
+const EXPORT_FORMATS = {
+  png:  { ext: 'png',  mime: 'image/png'     },
+  webp: { ext: 'webp', mime: 'image/webp'    },
+  svg:  { ext: 'svg',  mime: 'image/svg+xml' },
+};
+
+/** Read the export panel: selected pixel sizes (ascending) and format key. */
+function exportOptions() {
+  const sizes = [...exportSizes.querySelectorAll('input:checked')].map(el => parseInt(el.value));
+  const custom = parseInt(exportCustomSize.value);
+  if (custom >= 16 && custom <= 4096) sizes.push(custom);
+  const gridPx = parseInt(exportGridPx.value);
+  return {
+    sizes,
+    gridPx: exportGrid.checked && gridPx >= 16 && gridPx <= 1024 ? gridPx : 0,
+    format: exportFormat.value,
+  };
+}
+
+/**
+ * The sizes one token exports at: the checked ones plus, with grid sizing
+ * on, its creature size in squares × px per square (SIZE if none).
+ */
+function tokenExportSizes(token, options) {
+  const sizes = [...options.sizes];
+  if (options.gridPx) sizes.push(Math.min(4096, Math.round(tokenSquares(token) * options.gridPx)));
+  return [...new Set(sizes.length ? sizes : [SIZE])].sort((a, b) => a - b);
+}
+
+/**
+ * Render a token offscreen and encode it.
+ * Resolves to { blob, ext } — ext reflects what the browser actually produced
+ * (canvas.toBlob silently falls back to PNG where WebP encoding is missing).
+ */
+async function renderToBlob(token, size = SIZE, format = 'png') {
+  if (format === 'svg') {
+    await Promise.all([loadBackground(token), loadPopOut(token)]);
+    return { blob: new Blob([tokenSvg(token, size)], { type: EXPORT_FORMATS.svg.mime }), ext: 'svg' };
+  }
+
+  const exportCanvas = document.createElement('canvas');
+  exportCanvas.width  = size;
+  exportCanvas.height = size;
+  await render(exportCanvas.getContext('2d'), size, token);
+  const { mime } = EXPORT_FORMATS[format];
+  const blob = await new Promise(resolve => exportCanvas.toBlob(resolve, mime, 0.92));
+  return { blob, ext: blob.type === mime ? EXPORT_FORMATS[format].ext : 'png' };
+}
+
+/**
+ * Render one token at every selected size. File names get a `-<size>`
+ * suffix only when more than one size is exported.
+ */
+async function exportToken(token, options, used) {
+  const files = [];
+  const sizes = tokenExportSizes(token, options);
+  for (const size of sizes) {
+    const { blob, ext } = await renderToBlob(token, size, options.format);
+    const base = sizes.length > 1 ? `${token.name || 'token'}-${size}` : token.name || 'token';
+    files.push({ name: uniqueFileName(base, ext, used), data: blob });
+  }
+  return files;
+}
+
+function downloadBlob(blob, filename) {
+  const a = document.createElement('a');
+  a.download = filename;
+  a.href = URL.createObjectURL(blob);
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+/** Download a single file directly, or several as one ZIP. */
+async function downloadFiles(files, zipName) {
+  if (files.length === 1) {
+    downloadBlob(files[0].data, files[0].name);
+  } else {
+    downloadBlob(await buildZip(files), zipName);
+  }
+}
+
+downloadBtn.addEventListener('click', async () => {
+  const files = await exportToken(state, exportOptions(), new Set());
+  await downloadFiles(files, `${state.name || 'token'}.zip`);
+});
+
+downloadAllBtn.addEventListener('click', async () => {
+  if (!state.queue.length) return;
+  storeActiveItem();
+  downloadAllBtn.disabled = true;
+  try {
+    const options = exportOptions();
+    const used    = new Set();
+    const files   = [];
+    for (const item of state.queue) files.push(...await exportToken(item, options, used));
+    downloadBlob(await buildZip(files), 'tokens.zip');
+  } finally {
+    downloadAllBtn.disabled = false;
+  }
+});
+
+// ── Animation ──────────────────────────────────────────────────────────────
+
+let previewPhase = 0;       // phase the preview draws the frame at (0 unless playing)
+let previewLoop  = null;    // requestAnimationFrame id while the preview plays
+let previewTiming = { frames: ANIMATION.frames.default, duration: ANIMATION.duration.default };
+
+/** Read the animation controls, clamped to ANIMATION. */
+function animationOptions() {
+  const read = (input, { min, max, default: fallback }) => {
+    const value = parseFloat(input.value);
+    return Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback;
+  };
+  return {
+    frames:   Math.round(read(animFrames, ANIMATION.frames)),
+    duration: read(animDuration, ANIMATION.duration),
+    format:   animFormat.value,
+  };
+}
+
+function buildAnimationControls() {
+  for (const [input, range] of [[animFrames, ANIMATION.frames], [animDuration, ANIMATION.duration]]) {
+    input.min   = range.min;
+    input.max   = range.max;
+    input.value = range.default;
+  }
+}
+
+/**
+ * Enable the download, and run the preview loop only while Preview is on
+ * and there is an animated token to play; stopping it shows phase 0 again.
+ */
+function syncAnimationControls() {
+  const animated = !!state.image && tokenAnimated(state);
+  animBtn.disabled = !animated;
+  if (animated && animPreview.checked) {
+    if (previewLoop === null) previewLoop = requestAnimationFrame(playPreview);
+  } else if (previewLoop !== null) {
+    cancelAnimationFrame(previewLoop);
+    previewLoop = null;
+    if (previewPhase) {
+      previewPhase = 0;
+      scheduleRender();
+    }
+  }
+}
+
+/** Step the preview to the frame of the loop that is due, quantized like the export. */
+function playPreview(time) {
+  const { frames, duration } = previewTiming;
+  const phase = Math.floor(time / 1000 / duration * frames) % frames / frames;
+  if (phase !== previewPhase) {
+    previewPhase = phase;
+    render(ctx, SIZE, state, previewPhase).catch(console.error);
+  }
+  previewLoop = requestAnimationFrame(playPreview);
+}
+
+animPreview.addEventListener('change', syncAnimationControls);
+
+for (const input of [animFrames, animDuration]) {
+  input.addEventListener('change', () => {
+    const { frames, duration } = animationOptions();
+    animFrames.value   = frames;
+    animDuration.value = duration;
+    previewTiming = { frames, duration };
+  });
+}
+
+/**
+ * Record canvases as a WebM video in real time, each held for delayMs:
+ * the canvas stream only takes a frame when asked, so slow renders never
+ * stretch the timing.
+ */
+async function recordWebm(frames, size, delayMs) {
+  const mime = typeof MediaRecorder !== 'undefined' &&
+    ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(t => MediaRecorder.isTypeSupported(t));
+  if (!mime) throw new Error('This browser cannot record WebM video; export an animated PNG instead');
+
+  const vc = createCanvas(size, size);
+  const vctx   = vc.getContext('2d');
+  const stream = vc.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType: mime, videoBitsPerSecond: 8e6 });
+  const chunks  = [];
+  recorder.addEventListener('dataavailable', e => chunks.push(e.data));
+  const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve));
+
+  recorder.start();
+  for (const frame of frames) {
+    vctx.clearRect(0, 0, size, size);
+    vctx.drawImage(frame, 0, 0);
+    track.requestFrame();
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+  recorder.stop();
+  await stopped;
+  track.stop();
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+/**
+ * Render the token's animation loop at the largest export size (at most
+ * ANIMATION_MAX_SIZE) and encode it as an animated PNG or WebM.
+ * Resolves to { blob, ext }.
+ */
+async function renderAnimation(token, { frames, duration, format }) {
+  const size    = Math.min(ANIMATION_MAX_SIZE, tokenExportSizes(token, exportOptions()).at(-1));
+  const delayMs = duration * 1000 / frames;
+  const canvases = [];
+  const pngs     = [];
+  for (let i = 0; i < frames; i++) {
+    const fc = createCanvas(size, size);
+    await render(fc.getContext('2d'), size, token, i / frames);
+    if (format === 'webm') {
+      canvases.push(fc);
+    } else {
+      pngs.push(await new Promise(resolve => fc.toBlob(resolve, 'image/png')));
+    }
+  }
+  return format === 'webm'
+    ? { blob: await recordWebm(canvases, size, delayMs), ext: 'webm' }
+    : { blob: await buildApng(pngs, delayMs), ext: 'png' };
+}
+
+animBtn.addEventListener('click', async () => {
+  if (!state.image) return;
+  animBtn.disabled = true;
+  showStatus('Rendering the animation…');
+  try {
+    const { blob, ext } = await renderAnimation(state, animationOptions());
+    downloadBlob(blob, `${state.name || 'token'}-animated.${ext}`);
+    showStatus('Animation ready');
+  } catch (err) {
+    console.warn('Could not build the animation:', err);
+    showStatus(err.message, 'error');
+  } finally {
+    syncAnimationControls();
+  }
+});
+
+// ── VTT packages ───────────────────────────────────────────────────────────
+
+/** The creature name when the field is empty: the banner, else the file name. */
+function vttDefaultName() {
+  return state.labels.banner.trim() || state.name.replace(/[-_]+/g, ' ').trim();
+}
+
+function buildVttControls() {
+  for (const target of VTT_TARGETS) vttTarget.add(new Option(target.label, target.id));
+}
+
+/** Show the name a package gets when the field is left empty. */
+function syncVttControls() {
+  vttName.placeholder = vttDefaultName() || 'Creature name';
+}
+
+vttBtn.addEventListener('click', async () => {
+  if (!state.image) return;
+  vttBtn.disabled = true;
+  try {
+    const name  = vttName.value.trim() || vttDefaultName() || 'Token';
+    const files = await vttPackage(vttTarget.value, { name, squares: tokenSquares(state) }, async px => {
+      const { blob } = await renderToBlob(state, px, 'png');
+      return new Uint8Array(await blob.arrayBuffer());
+    });
+    downloadBlob(await buildZip(files), `${vttSlug(name)}-${vttTarget.value}.zip`);
+  } catch (err) {
+    console.warn('Could not build the VTT package:', err);
+    showStatus(err.message, 'error');
+  } finally {
+    vttBtn.disabled = false;
+  }
+});
+
+// ── Print sheets ───────────────────────────────────────────────────────────
+
+const PRINT_JPEG_QUALITY = 0.92;
+const PRINT_CUT_LINE     = 0.25;   // cut line width (mm)
+
+let printOptions = loadPrintOptions();
+
+function buildPrintControls() {
+  for (const size of PRINT_SIZES) printSize.add(new Option(size.label, size.id));
+  for (const page of PRINT_PAGES) printPage.add(new Option(page.label, page.id));
+  printSource.value     = printOptions.source;
+  printSize.value       = printOptions.size;
+  printPage.value       = printOptions.page;
+  printCopies.value     = printOptions.copies;
+  printBleed.checked    = printOptions.bleed;
+  printCutLines.checked = printOptions.cutLines;
+  printStandee.checked  = printOptions.standee;
+  printBleed.disabled   = printOptions.standee;
+}
+
+function setPrintOptions(changes) {
+  printOptions = { ...printOptions, ...changes };
+  storePrintOptions(printOptions);
+  printBleed.disabled = printOptions.standee;
+}
+
+printSource.addEventListener('change', () => setPrintOptions({ source: printSource.value }));
+printSize.addEventListener('change', () => setPrintOptions({ size: printSize.value }));
+printPage.addEventListener('change', () => setPrintOptions({ page: printPage.value }));
+printCopies.addEventListener('change', () => {
+  const copies = Math.max(1, Math.min(99, parseInt(printCopies.value) || 1));
+  printCopies.value = copies;
+  setPrintOptions({ copies });
+});
+printBleed.addEventListener('change', () => setPrintOptions({ bleed: printBleed.checked }));
+printCutLines.addEventListener('change', () => setPrintOptions({ cutLines: printCutLines.checked }));
+printStandee.addEventListener('change', () => setPrintOptions({ standee: printStandee.checked }));
+
+/** The tokens a print run covers: the current one, the queue, or the whole library. */
+async function printTokens(source) {
+  if (source === 'queue') {
+    storeActiveItem();
+    return state.queue.filter(item => item.image);
+  }
+  if (source === 'library') {
+    const tokens = [];
+    // Other projects' imported frames are drawn, not imported
+    for (const record of await libraryList()) tokens.push(await projectToken(record.project, record.id, false));
+    return tokens;
+  }
+  return state.image ? [state] : [];
+}
+
+/**
+ * A token rendered at print resolution on white paper, for buildPdf().
+ * The bleed band is the token drawn again behind itself, enlarged to the
+ * band's edge, so the colors at the rim carry on past the cut line.
+ */
+async function printRaster(token, { size, bleed, cutLines, standee }) {
+  const px   = printPixels(PRINT_SIZES.find(s => s.id === size).mm);
+  const band = bleed && !standee ? printPixels(PRINT_BLEED) : 0;
+  const art  = document.createElement('canvas');
+  art.width  = art.height = px;
+  await render(art.getContext('2d'), px, token);
+
+  const sheet = document.createElement('canvas');
+  sheet.width = sheet.height = px + 2 * band;
+  const c = sheet.getContext('2d');
+  c.fillStyle = '#ffffff';
+  c.fillRect(0, 0, sheet.width, sheet.height);
+  if (band) c.drawImage(art, 0, 0, sheet.width, sheet.height);
+  c.drawImage(art, band, band);
+
+  // Standees are cut along the panel edge instead (see printSheets)
+  if (cutLines && !standee) {
+    c.translate(band, band);
+    c.scale(px / SIZE, px / SIZE);
+    c.strokeStyle = '#808080';
+    c.lineWidth   = printPixels(PRINT_CUT_LINE) * SIZE / px;
+    c.stroke(new Path2D(tokenShape(token).path(frameRadius(FRAME_OUTER_R, tokenSquares(token)))));
+  }
+
+  const blob = await new Promise(resolve => sheet.toBlob(resolve, 'image/jpeg', PRINT_JPEG_QUALITY));
+  return { jpeg: new Uint8Array(await blob.arrayBuffer()), width: sheet.width, height: sheet.height };
+}
+
+printBtn.addEventListener('click', async () => {
+  printBtn.disabled = true;
+  try {
+    const tokens = await printTokens(printOptions.source);
+    if (!tokens.length) {
+      showStatus(printOptions.source === 'token' ? 'Add an image to print its token' : 'There are no tokens to print', 'error');
+      return;
+    }
+    const images = [];
+    for (const token of tokens) images.push(await printRaster(token, printOptions));
+    const pages = printSheets(images, printOptions);
+    const name  = printOptions.source === 'token' ? state.name || 'token' : 'tokens';
+    downloadBlob(buildPdf(pages), `${name}-print.pdf`);
+    showStatus(`Print sheet ready: ${pages.length} ${pages.length === 1 ? 'page' : 'pages'}`);
+  } catch (err) {
+    console.warn('Could not build the print sheet:', err);
+    showStatus(err.message, 'error');
+  } finally {
+    printBtn.disabled = false;
+  }
 });
 
 // ── Init ───────────────────────────────────────────────────────────────────
 
-buildFramePicker().then(() => scheduleRender());
+buildShapePicker();
+buildAutoFrameControls();
+buildAdjustControls();
+buildBackgroundControls();
+buildLabelControls();
+buildConditionControls();
+buildPopOutControls();
+buildPrintControls();
+buildVttControls();
+buildAnimationControls();
+buildPaletteControls();
+registerCustomFrames();
+buildFramePicker().then(() => {
+  syncFrameParamControls();
+  scheduleRender();
+});
+openShareLink(location.hash);
+buildLibraryList();
@@ -0,0 +1,255 @@
+/**
+ * autoframe.js — Offline subject detection for auto-framing.
+ *
+ * findSubject() scores every pixel of a small RGBA copy of the image with
+ * three cheap cues and returns where the subject, and its face, probably are:
+ *   edges    local luminance gradient, blurred — detail beats a flat backdrop
+ *   contrast color distance from the border color (the likely backdrop), or
+ *            plain opacity when the border is transparent (cut-out art)
+ *   skin     YCbCr skin-tone range, used only to find a face in the subject
+ * A mild centre bias breaks ties. Boxes are { x0, y0, x1, y1 } in fractions
+ * of the image size, so the analysis can run at any resolution.
+ *
+ * autoFrameImage() then places a token's image around that subject (drawing
+ * through core.js, so it must load after it). Auto-frame options are kept
+ * in localStorage as { headroom, onImport }.
+ */
+
+const AUTOFRAME_KEY    = 'maptoken.autoframe';
+const AUTOFRAME_SAMPLE = 128;   // longest side of the analysed copy (px)
+
+const DEFAULT_AUTOFRAME = {
+  headroom: 12,      // space above the subject, % of the clip diameter
+  onImport: false,   // auto-frame new images instead of the plain fill
+};
+
+const AUTOFRAME_HEADROOM = { key: 'headroom', label: 'Headroom %', min: 0, max: 40 };
+
+// ── Cues ───────────────────────────────────────────────────────────────────
+
+/** Gradient magnitude of a w×h luminance map (central differences). */
+function edgeMap(lum, w, h) {
+  const out = new Float32Array(w * h);
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      const p  = y * w + x;
+      const gx = lum[p + 1] - lum[p - 1];
+      const gy = lum[p + w] - lum[p - w];
+      out[p] = Math.sqrt(gx * gx + gy * gy);
+    }
+  }
+  return out;
+}
+
+/** Box blur of radius r (separable, edges clamped). */
+function boxBlur(values, w, h, r) {
+  const tmp = new Float32Array(w * h);
+  const out = new Float32Array(w * h);
+  const n   = 2 * r + 1;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      for (let k = -r; k <= r; k++) sum += values[y * w + Math.min(w - 1, Math.max(0, x + k))];
+      tmp[y * w + x] = sum / n;
+    }
+  }
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      for (let k = -r; k <= r; k++) sum += tmp[Math.min(h - 1, Math.max(0, y + k)) * w + x];
+      out[y * w + x] = sum / n;
+    }
+  }
+  return out;
+}
+
+/** Skin-tone test in YCbCr (the classic Chai & Ngan range). */
+function isSkin(r, g, b) {
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173 && r > g && r > b;
+}
+
+function normalize(values) {
+  let max = 0;
+  for (const v of values) if (v > max) max = v;
+  if (max > 0) for (let i = 0; i < values.length; i++) values[i] /= max;
+  return values;
+}
+
+// ── Boxes ──────────────────────────────────────────────────────────────────
+
+/**
+ * Index range [lo, hi] of a weight histogram with `trim` of the total
+ * weight cut off each end — robust against stray specks of detail.
+ */
+function weightedRange(hist, trim) {
+  const total = hist.reduce((a, b) => a + b, 0);
+  let lo = 0, hi = hist.length - 1;
+  for (let acc = 0; lo < hi && acc + hist[lo] <= total * trim; lo++) acc += hist[lo];
+  for (let acc = 0; hi > lo && acc + hist[hi] <= total * trim; hi--) acc += hist[hi];
+  return [lo, hi];
+}
+
+/** Weighted bounding box of a w×h weight map, as image fractions; null when empty. */
+function weightedBox(weights, w, h, trim) {
+  const cols = new Float32Array(w);
+  const rows = new Float32Array(h);
+  let total = 0;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const v = weights[y * w + x];
+      cols[x] += v;
+      rows[y] += v;
+      total   += v;
+    }
+  }
+  if (!total) return null;
+  const [x0, x1] = weightedRange(cols, trim);
+  const [y0, y1] = weightedRange(rows, trim);
+  return { x0: x0 / w, y0: y0 / h, x1: (x1 + 1) / w, y1: (y1 + 1) / h };
+}
+
+// ── Detection ──────────────────────────────────────────────────────────────
+
+/**
+ * Locate the subject in an RGBA buffer of w×h pixels.
+ * Returns { subject, face }: the subject box (the whole image when nothing
+ * stands out) and the face box inside it, or null when no face is found.
+ */
+function findSubject(data, w, h) {
+  const n   = w * h;
+  const lum = new Float32Array(n);
+  const contrast = new Float32Array(n);
+
+  let borderAlpha = 0, borderCount = 0;
+  for (let p = 0; p < n; p++) {
+    const x = p % w, y = (p - x) / w;
+    if (x === 0 || y === 0 || x === w - 1 || y === h - 1) {
+      borderAlpha += data[p * 4 + 3];
+      borderCount++;
+    }
+  }
+  const cutOut = borderAlpha / borderCount < 128;
+  const bg     = hexToRGB(borderColor(data, w, h));
+
+  for (let p = 0; p < n; p++) {
+    const i = p * 4;
+    lum[p] = 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+    contrast[p] = cutOut ? 1 : Math.sqrt(colorDistSq(data, i, bg));
+  }
+  const edges = normalize(boxBlur(edgeMap(lum, w, h), w, h, 2));
+  normalize(contrast);
+
+  // Salience, then keep only what stands out above the average
+  const salience = new Float32Array(n);
+  let mean = 0;
+  for (let p = 0; p < n; p++) {
+    const x  = p % w, y = (p - x) / w;
+    const dx = x / w - 0.5, dy = y / h - 0.5;
+    const centre = 1 - 0.8 * (dx * dx + dy * dy);
+    salience[p] = (data[p * 4 + 3] / 255) * (0.5 * edges[p] + 0.5 * contrast[p]) * centre;
+    mean += salience[p] / n;
+  }
+  const weights = salience.map(s => Math.max(0, s - mean));
+  const subject = weightedBox(weights, w, h, 0.02) || { x0: 0, y0: 0, x1: 1, y1: 1 };
+
+  // A face: salient skin in the upper part of the subject
+  const faceLimit = (subject.y0 + 0.45 * (subject.y1 - subject.y0)) * h;
+  const skin = new Float32Array(n);
+  let skinTotal = 0;
+  for (let p = 0; p < n; p++) {
+    const i = p * 4, x = p % w, y = (p - x) / w;
+    if (weights[p] > 0 && y < faceLimit && x >= subject.x0 * w && x < subject.x1 * w &&
+        isSkin(data[i], data[i + 1], data[i + 2])) {
+      skin[p] = data[i + 3] / 255;
+      skinTotal += skin[p];
+    }
+  }
+  const subjectArea = (subject.x1 - subject.x0) * (subject.y1 - subject.y0) * n;
+  const face = skinTotal > 0.05 * subjectArea ? weightedBox(skin, w, h, 0.1) : null;
+
+  // Thin slivers of skin-like color (antialiased edges, wood grain) aren't faces
+  const faceW = face && (face.x1 - face.x0) * w, faceH = face && (face.y1 - face.y0) * h;
+  const isFace = face && faceW >= 0.15 * (subject.x1 - subject.x0) * w && faceW / faceH > 0.4 && faceW / faceH < 2.5;
+  return { subject, face: isFace ? face : null };
+}
+
+// ── Placement ──────────────────────────────────────────────────────────────
+
+const subjectCache = new WeakMap();   // image → findSubject() result
+
+/** The subject of an image, analysed once on a copy at most AUTOFRAME_SAMPLE px. */
+function imageSubject(img) {
+  let found = subjectCache.get(img);
+  if (!found) {
+    const scale = Math.min(1, AUTOFRAME_SAMPLE / Math.max(img.width, img.height));
+    const w = Math.max(1, Math.round(img.width  * scale));
+    const h = Math.max(1, Math.round(img.height * scale));
+    const sctx = createCanvas(w, h).getContext('2d');
+    sctx.drawImage(img, 0, 0, w, h);
+    found = findSubject(sctx.getImageData(0, 0, w, h).data, w, h);
+    subjectCache.set(img, found);
+  }
+  return found;
+}
+
+/**
+ * Place the image so its detected subject sits in the clip with `headroom`
+ * % of the clip diameter above it, centred on the face when one is found.
+ * Never zooms out past covering the clip, nor in past 4× that, and keeps
+ * the clip covered where the image allows.
+ */
+function autoFrameImage(token, headroom = DEFAULT_AUTOFRAME.headroom) {
+  if (!token.image) return;
+  const { subject, face } = imageSubject(token.image);
+  const iw = token.image.width, ih = token.image.height;
+  const diameter = tokenClip(token).r * 2;
+
+  // Subject box at zoom 1, flipped and rotated as drawn, around the image centre
+  const offset = (fx, fy) => imageOffset(token, (fx - 0.5) * iw, (fy - 0.5) * ih);
+  const corners = [[subject.x0, subject.y0], [subject.x1, subject.y0], [subject.x0, subject.y1], [subject.x1, subject.y1]]
+    .map(([fx, fy]) => offset(fx, fy));
+  const xs = corners.map(c => c[0]), ys = corners.map(c => c[1]);
+  const top   = Math.min(...ys);
+  const focus = face ? offset((face.x0 + face.x1) / 2, 0.5)[0] : (Math.min(...xs) + Math.max(...xs)) / 2;
+
+  fitImage(token, 'fill');
+  const cover = token.zoom;
+  const fitH  = diameter * (1 - headroom / 100) / (Math.max(...ys) - top);
+  const fitW  = diameter * 0.9 / (Math.max(...xs) - Math.min(...xs));   // a little side margin
+  const zoom  = Math.min(cover * 4, Math.max(cover, Math.min(fitH, fitW)));
+
+  // Image centre that puts the focus on the clip's centre line and the
+  // subject's top `headroom` below the clip's top, clamped to keep it covered
+  const a  = token.rotation * Math.PI / 180;
+  const hw = zoom * (Math.abs(iw * Math.cos(a)) + Math.abs(ih * Math.sin(a))) / 2;
+  const hh = zoom * (Math.abs(iw * Math.sin(a)) + Math.abs(ih * Math.cos(a))) / 2;
+  const r  = diameter / 2;
+  const clamp = (v, c, half) => half >= r ? Math.max(c + r - half, Math.min(c - r + half, v)) : c;
+  const cx = clamp(CX - zoom * focus, CX, hw);
+  const cy = clamp(CY - r + diameter * headroom / 100 - zoom * top, CY, hh);
+
+  token.zoom = zoom;
+  token.panX = cx - iw * zoom / 2;
+  token.panY = cy - ih * zoom / 2;
+}
+
+// ── Persistence ────────────────────────────────────────────────────────────
+
+function loadAutoFrameOptions() {
+  try {
+    return { ...DEFAULT_AUTOFRAME, ...JSON.parse(localStorage.getItem(AUTOFRAME_KEY)) };
+  } catch (e) {
+    console.warn('Could not read auto-frame options:', e);
+    return { ...DEFAULT_AUTOFRAME };
+  }
+}
+
+function storeAutoFrameOptions(options) {
+  try {
+    localStorage.setItem(AUTOFRAME_KEY, JSON.stringify(options));
+  } catch (e) {
+    console.warn('Could not save auto-frame options:', e);
+  }
+}
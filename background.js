@@ -0,0 +1,170 @@
+/**
+ * background.js — The fill drawn inside the clip, behind the token image.
+ *
+ * A token's `background` setting:
+ *   { mode, color, texture, upload }
+ * mode    'none' | 'solid' | 'radial' | 'linear' | 'texture'
+ * color   solid fill color
+ * texture a TEXTURES id, or 'upload' to tile `upload` (an image data URL)
+ *
+ * Gradients take their tones from toneVariants() of the frame color so they
+ * follow the color picker. Procedural textures are generated as seamless RGBA
+ * tiles from a fixed seed, so a token looks the same every time it renders.
+ */
+
+const DEFAULT_BACKGROUND = {
+  mode:    'none',
+  color:   '#2a2a3a',
+  texture: 'parchment',
+  upload:  null,
+};
+
+const BACKGROUND_MODES = [
+  { id: 'none',    label: 'None (transparent)' },
+  { id: 'solid',   label: 'Solid color' },
+  { id: 'radial',  label: 'Radial gradient' },
+  { id: 'linear',  label: 'Linear gradient' },
+  { id: 'texture', label: 'Texture' },
+];
+
+const TEXTURE_TILE = 128;   // procedural tile size (512-space units)
+
+// ── Noise ──────────────────────────────────────────────────────────────────
+
+/** Small deterministic PRNG (mulberry32) so textures are reproducible. */
+function seededRandom(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Seamless fractal value noise, size×size values in 0…1. Each octave is a
+ * grid of `cells` random values that wraps at the tile edge.
+ */
+function tileNoise(size, cells, octaves, seed) {
+  const rand = seededRandom(seed);
+  const out  = new Float32Array(size * size);
+  let amp = 1, total = 0;
+  for (let o = 0; o < octaves; o++, cells *= 2, amp /= 2) {
+    const grid = Float32Array.from({ length: cells * cells }, rand);
+    const at = (gx, gy) => grid[(gy % cells) * cells + (gx % cells)];
+    for (let y = 0; y < size; y++) {
+      const fy = y / size * cells, gy = Math.floor(fy), ty = fy - gy;
+      const sy = ty * ty * (3 - 2 * ty);
+      for (let x = 0; x < size; x++) {
+        const fx = x / size * cells, gx = Math.floor(fx), tx = fx - gx;
+        const sx = tx * tx * (3 - 2 * tx);
+        const top = at(gx, gy)     + (at(gx + 1, gy)     - at(gx, gy))     * sx;
+        const bot = at(gx, gy + 1) + (at(gx + 1, gy + 1) - at(gx, gy + 1)) * sx;
+        out[y * size + x] += (top + (bot - top) * sy) * amp;
+      }
+    }
+    total += amp;
+  }
+  for (let i = 0; i < out.length; i++) out[i] /= total;
+  return out;
+}
+
+/**
+ * Seamless cellular pattern: for each pixel the gap between the nearest and
+ * second-nearest of `count` wrapped feature points (0 on a cell border).
+ */
+function tileCells(size, count, seed) {
+  const rand = seededRandom(seed);
+  const pts  = Array.from({ length: count }, () => [rand() * size, rand() * size]);
+  const out  = new Float32Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      let d1 = Infinity, d2 = Infinity;
+      for (const [px, py] of pts) {
+        let dx = Math.abs(x - px), dy = Math.abs(y - py);
+        dx = Math.min(dx, size - dx);
+        dy = Math.min(dy, size - dy);
+        const d = Math.sqrt(dx * dx + dy * dy);
+        if (d < d1) { d2 = d1; d1 = d; } else if (d < d2) d2 = d;
+      }
+      out[y * size + x] = d2 - d1;
+    }
+  }
+  return out;
+}
+
+// ── Procedural textures ────────────────────────────────────────────────────
+
+/** Fill an RGBA tile from a per-pixel (i, x, y) → [r, g, b] function. */
+function shadeTile(size, fn) {
+  const data = new Uint8ClampedArray(size * size * 4);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const i = y * size + x;
+      const [r, g, b] = fn(i, x, y);
+      data.set([r, g, b, 255], i * 4);
+    }
+  }
+  return data;
+}
+
+const TEXTURES = [
+  {
+    id: 'parchment', label: 'Parchment',
+    tile(size) {
+      const n = tileNoise(size, 4, 5, 11);
+      return shadeTile(size, i => {
+        const v = n[i];
+        return [222 - 60 * v, 196 - 62 * v, 148 - 58 * v];
+      });
+    },
+  },
+  {
+    id: 'stone', label: 'Stone',
+    tile(size) {
+      const cells = tileCells(size, 10, 23);
+      const n     = tileNoise(size, 8, 4, 29);
+      return shadeTile(size, i => {
+        const mortar = Math.min(1, cells[i] / 4);
+        const v = (70 + 60 * n[i]) * (0.35 + 0.65 * mortar);
+        return [v, v * 0.98, v * 0.94];
+      });
+    },
+  },
+  {
+    id: 'wood', label: 'Wood',
+    tile(size) {
+      const n = tileNoise(size, 4, 4, 37);
+      return shadeTile(size, (i, x) => {
+        // Grain runs vertically; the sine's period divides the tile so it wraps
+        const ring = 0.5 + 0.5 * Math.sin((x / size * 6 + n[i] * 3) * Math.PI * 2);
+        const v = 0.55 + 0.3 * ring + 0.15 * n[i];
+        return [150 * v, 96 * v, 52 * v];
+      });
+    },
+  },
+  {
+    id: 'grass', label: 'Grass',
+    tile(size) {
+      const n = tileNoise(size, 16, 3, 41);
+      const m = tileNoise(size, 2, 3, 43);
+      return shadeTile(size, i => {
+        const v = 0.6 + 0.5 * n[i];
+        return [70 * v + 30 * m[i], 120 * v + 20 * m[i], 45 * v];
+      });
+    },
+  },
+];
+
+// ── Gradients ──────────────────────────────────────────────────────────────
+
+/**
+ * Color stops for the gradient modes, from toneVariants() of the frame
+ * color: light in the middle (radial) or at the top (linear), dark outside.
+ */
+function gradientStops(mode, color) {
+  const t = toneVariants(color);
+  return mode === 'radial'
+    ? [[0, t.light], [0.55, t.base], [1, t.vdark]]
+    : [[0, t.light], [0.5, t.base], [1, t.dark]];
+}
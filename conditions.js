@@ -0,0 +1,149 @@
+/**
+ * conditions.js — Status condition overlays for tokens in play.
+ *
+ * A token's `conditions` setting is a list of CONDITIONS ids, [] for none.
+ * conditionsSvg() returns a 512×512 SVG layer drawn over the frame (under
+ * the labels, so names stay readable), or null when no condition is set.
+ * Each condition draws `marks`:
+ *   ring   a glowing ring of its color over the outer edge of the frame
+ *   icon   its icon on a badge in a canvas corner
+ *   slash  a diagonal slash across the image
+ *   tint   a wash of its color over the image
+ * Marks are laid out in CONDITIONS order, whatever order they were set in:
+ * rings stack inward, icons take the canvas corners, then the spots beside
+ * them. Icons are path data in a 24×24 box, filled white (even-odd, so
+ * they can have holes).
+ */
+
+// ── Icons ──────────────────────────────────────────────────────────────────
+
+/** Path data for a circle, for building icons. */
+function circlePath(cx, cy, r) {
+  return `M${cx - r},${cy} a${r},${r} 0 1 0 ${2 * r},0 a${r},${r} 0 1 0 ${-2 * r},0 Z`;
+}
+
+/** Path data for an n-pointed star. */
+function starPath(cx, cy, outer, inner, n) {
+  const points = [];
+  for (let i = 0; i < 2 * n; i++) {
+    const a = (i / (2 * n)) * 2 * Math.PI - Math.PI / 2;
+    const r = i % 2 ? inner : outer;
+    points.push(`${(cx + r * Math.cos(a)).toFixed(2)},${(cy + r * Math.sin(a)).toFixed(2)}`);
+  }
+  return `M${points.join(' L')} Z`;
+}
+
+const ICON_DROP   = 'M12,2 C12,2 5,10 5,15 A7,7 0 0 0 19,15 C19,10 12,2 12,2 Z';
+const ICON_STARS  = starPath(9, 10, 7, 3, 5) + starPath(17.5, 17.5, 4.5, 2, 5);
+const ICON_TARGET = circlePath(12, 12, 9) + circlePath(12, 12, 6) + circlePath(12, 12, 3);
+const ICON_HEART  = 'M12,20.5 L3.8,12.3 A4.6,4.6 0 0 1 12,6.6 A4.6,4.6 0 0 1 20.2,12.3 Z';
+const ICON_ALERT  = 'M10.2,3 h3.6 l-0.6,11.5 h-2.4 Z' + circlePath(12, 18.5, 2);
+const ICON_LOCK   = 'M5.5,11 h13 v10 h-13 Z M7.5,11 V8 A4.5,4.5 0 0 1 16.5,8 V11 h-2.5 V8 A2,2 0 0 0 10,8 V11 Z';
+const ICON_DOWN   = 'M10,3 h4 v10 h4.5 L12,21 L5.5,13 H10 Z';
+
+// ── Conditions ─────────────────────────────────────────────────────────────
+
+const CONDITIONS = [
+  { id: 'bloodied',      label: 'Bloodied',      color: '#b3122e', marks: ['tint', 'slash'] },
+  { id: 'poisoned',      label: 'Poisoned',      color: '#4caf50', marks: ['ring', 'icon'], icon: ICON_DROP   },
+  { id: 'stunned',       label: 'Stunned',       color: '#f2c14e', marks: ['ring', 'icon'], icon: ICON_STARS  },
+  { id: 'concentrating', label: 'Concentrating', color: '#4aa3d9', marks: ['ring', 'icon'], icon: ICON_TARGET },
+  { id: 'charmed',       label: 'Charmed',       color: '#e85d9f', marks: ['ring', 'icon'], icon: ICON_HEART  },
+  { id: 'frightened',    label: 'Frightened',    color: '#9b6ad6', marks: ['ring', 'icon'], icon: ICON_ALERT  },
+  { id: 'restrained',    label: 'Restrained',    color: '#c77d3a', marks: ['ring', 'icon'], icon: ICON_LOCK   },
+  { id: 'prone',         label: 'Prone',         color: '#9aa3ad', marks: ['icon'],         icon: ICON_DOWN   },
+];
+
+const CONDITION_RING_W   = 6;    // ring stroke width
+const CONDITION_RING_GAP = 9;    // distance between stacked rings
+const CONDITION_BADGE_R  = 24;
+const CONDITION_TINT     = 0.3;  // opacity of the tint wash
+
+// Badge centres: the four corners, then the spots beside them
+const CONDITION_SPOTS = [
+  [468, 44], [44, 468], [468, 468], [44, 44],
+  [410, 44], [102, 468], [410, 468], [102, 44],
+];
+
+// ── Marks ──────────────────────────────────────────────────────────────────
+
+function conditionRing(condition, shape, r) {
+  const d = shape.path(r);
+  return `
+    <path d="${d}" fill="none" stroke="${condition.color}" stroke-width="${CONDITION_RING_W * 2}" opacity="0.8" filter="url(#cond-glow)"/>
+    <path d="${d}" fill="none" stroke="${condition.color}" stroke-width="${CONDITION_RING_W}"/>
+    <path d="${d}" fill="none" stroke="white" stroke-width="1.5" opacity="0.6"/>`;
+}
+
+function conditionIcon(condition, [x, y]) {
+  const scale = 1.4;
+  const shift = 12 * scale;
+  return `
+    <circle cx="${x}" cy="${y}" r="${CONDITION_BADGE_R + 2}" fill="black" opacity="0.55" filter="url(#cond-glow)"/>
+    <circle cx="${x}" cy="${y}" r="${CONDITION_BADGE_R}" fill="${condition.color}" stroke="white" stroke-width="2.5"/>
+    <path d="${condition.icon}" fill="white" fill-rule="evenodd"
+          transform="translate(${x - shift},${y - shift}) scale(${scale})"/>`;
+}
+
+/**
+ * A tapering diagonal slash from upper right to lower left across the image
+ * clip of radius r, as a polygon: widest in the middle, pointed at the ends.
+ */
+function slashPath(r, width) {
+  const steps = 12;
+  const left = [], right = [];
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps * 2 - 1;                        // −1 … 1 along the slash
+    const w = width * Math.sin((t + 1) / 2 * Math.PI) ** 0.6;
+    const along = t * r * 0.95;
+    // direction (−1, 1)/√2, normal (1, 1)/√2
+    const px = 256 - along / Math.SQRT2, py = 256 + along / Math.SQRT2;
+    left.push(`${(px + w / Math.SQRT2).toFixed(1)},${(py + w / Math.SQRT2).toFixed(1)}`);
+    right.push(`${(px - w / Math.SQRT2).toFixed(1)},${(py - w / Math.SQRT2).toFixed(1)}`);
+  }
+  return `M${left.join(' L')} L${right.reverse().join(' L')} Z`;
+}
+
+function conditionSlash(condition, r) {
+  return `
+    <path d="${slashPath(r, 24)}" fill="black" opacity="0.35" transform="translate(3,4)"/>
+    <path d="${slashPath(r, 22)}" fill="${condition.color}"/>
+    <path d="${slashPath(r, 7)}" fill="white" opacity="0.25"/>`;
+}
+
+// ── Layer ──────────────────────────────────────────────────────────────────
+
+/**
+ * The overlay layer for the condition ids in `conditions` on a token whose
+ * image clip is `shape` at radius `r`; null when none is set. Unknown ids
+ * are ignored.
+ */
+function conditionsSvg(conditions, { shape = CIRCLE_SHAPE, r = 232 } = {}) {
+  const active = CONDITIONS.filter(c => conditions.includes(c.id));
+  if (!active.length) return null;
+
+  let image = '', rings = '', icons = '';
+  let ringR = FRAME_OUTER_R - CONDITION_RING_W / 2;
+  let spot  = 0;
+  for (const condition of active) {
+    if (condition.marks.includes('tint')) {
+      image += `<path d="${shape.path(r)}" fill="${condition.color}" opacity="${CONDITION_TINT}"/>`;
+    }
+    if (condition.marks.includes('slash')) image += conditionSlash(condition, r);
+    if (condition.marks.includes('ring')) {
+      rings += conditionRing(condition, shape, ringR);
+      ringR -= CONDITION_RING_GAP;
+    }
+    if (condition.marks.includes('icon') && spot < CONDITION_SPOTS.length) {
+      icons += conditionIcon(condition, CONDITION_SPOTS[spot++]);
+    }
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512" viewBox="0 0 512 512">
+    <defs>
+      <filter id="cond-glow" x="-20%" y="-20%" width="140%" height="140%"><feGaussianBlur stdDeviation="4"/></filter>
+      <clipPath id="cond-clip"><path d="${shape.path(r)}"/></clipPath>
+    </defs>
+    <g clip-path="url(#cond-clip)">${image}</g>${rings}${icons}
+  </svg>`;
+}
@@ -0,0 +1,415 @@
+/**
+ * core.js — DOM-free token rendering, shared by the page and headless use.
+ *
+ * Everything here takes the token it works on as an explicit argument; the
+ * page passes its live editing state, a build script any object made with
+ * createToken(). Nothing touches `document`: canvases, SVG decoding and
+ * Path2D come from the render backend (see setRenderBackend), which app.js
+ * supplies from the browser and node/headless.js from a Node canvas package.
+ *
+ * Depends on shapes.js, frames.js, palettes.js, adjust.js, background.js,
+ * labels.js, conditions.js, popout.js and geometry.js being loaded first.
+ */
+
+// ── Constants ──────────────────────────────────────────────────────────────
+
+const CLIP_R = ringInnerR();  // image clip radius at the default ring width (232)
+
+/**
+ * Creature size categories and how many grid squares across their tokens
+ * are. Frames keep a one-square ring width at every size (see scaledShape).
+ */
+const CREATURE_SIZES = [
+  { id: 'tiny',       label: 'Tiny',       squares: 0.5 },
+  { id: 'small',      label: 'Small',      squares: 1   },
+  { id: 'medium',     label: 'Medium',     squares: 1   },
+  { id: 'large',      label: 'Large',      squares: 2   },
+  { id: 'huge',       label: 'Huge',       squares: 3   },
+  { id: 'gargantuan', label: 'Gargantuan', squares: 4   },
+];
+
+/** A token with every setting at its default; `overrides` replace fields. */
+function createToken(overrides = {}) {
+  return {
+    name:        '',     // export file base name
+    image:       null,   // anything the backend can draw: HTMLImageElement, canvas…
+    panX:        0,      // top-left of the unrotated image rect (see geometry.js)
+    panY:        0,
+    zoom:        1,
+    rotation:    0,      // degrees, clockwise, about the image centre
+    flipX:       false,
+    flipY:       false,
+    frameIndex:  0,      // index into FRAMES
+    frameParams: {},     // frame param values by key (see frames.js); unset keys use defaults
+    color:       '#c0922a',
+    palette:     { ...AUTO_PALETTE },  // frame color slots (palettes.js); null slots follow `color`
+    shape:       'circle', // SHAPES id, or 'custom' to use maskProfile
+    maskProfile: null,     // radialProfile() of a mask image
+    adjust:      { ...DEFAULT_ADJUST },      // see adjust.js — replaced, never mutated
+    background:  { ...DEFAULT_BACKGROUND },  // see background.js — likewise
+    labels:      { ...DEFAULT_LABELS },      // see labels.js — likewise
+    conditions:  [],     // CONDITIONS ids (conditions.js) — likewise
+    creatureSize: 'medium', // CREATURE_SIZES id
+    popOut:      { ...DEFAULT_POP_OUT },     // see popout.js — replaced, never mutated
+    ...overrides,
+  };
+}
+
+// ── Render backend ─────────────────────────────────────────────────────────
+
+/**
+ * What rendering needs from the platform:
+ *   createCanvas(w, h) → canvas with getContext('2d') and toDataURL()
+ *   loadSvg(svg, size) → Promise of a drawable for an SVG string, to be
+ *                        drawn at size × size px
+ *   loadDataURL(url)   → Promise of a drawable for an image data URL
+ *   Path2D             constructor taking SVG path data
+ */
+let renderBackend = null;
+
+function setRenderBackend(backend) {
+  renderBackend = backend;
+}
+
+function createCanvas(w, h) {
+  return renderBackend.createCanvas(w, h);
+}
+
+// ── Shape & frame helpers ──────────────────────────────────────────────────
+
+/** The outline shape (shapes.js) a token is clipped and framed with. */
+function tokenShape(token) {
+  if (token.shape === 'custom' && token.maskProfile) return profileShape(token.maskProfile);
+  return SHAPES.find(sh => sh.id === token.shape) || CIRCLE_SHAPE;
+}
+
+/** How many grid squares across a token is, from its creature size. */
+function tokenSquares(token) {
+  const size = CREATURE_SIZES.find(s => s.id === token.creatureSize);
+  return size ? size.squares : 1;
+}
+
+/**
+ * The image clip for a token: its shape at the inside of the frame ring
+ * (CLIP_R unless the ring width or creature size is changed), or the
+ * frame's own detected hole for imported frames.
+ */
+function tokenClip(token, frameIndex = token.frameIndex) {
+  const frame = tokenFrame(token, frameIndex);
+  if (frame.clipShape) return { shape: frame.clipShape, r: frame.clipR };
+  const { ring } = withDefaults(frame.params || [], token.frameParams);
+  return { shape: tokenShape(token), r: frameRadius(ring ? ringInnerR(ring) : CLIP_R, tokenSquares(token)) };
+}
+
+/** The parameter schema of a frame (imported frames have none). */
+function frameSchema(frameIndex) {
+  return FRAMES[frameIndex].params || [];
+}
+
+/**
+ * The frame a token is drawn with: FRAMES[frameIndex], unless the token
+ * carries its own `frameEntry` — an imported frame this browser has not
+ * registered, drawn without importing it (see printTokens in app.js).
+ */
+function tokenFrame(token, frameIndex = token.frameIndex) {
+  return token.frameEntry || FRAMES[frameIndex];
+}
+
+/** Index of the frame with this id, or -1. */
+function frameIndexOf(id) {
+  return FRAMES.findIndex(f => f.id === id);
+}
+
+/** The clip outline as a Path2D in 512-space. */
+function clipPath(token, frameIndex) {
+  const { shape, r } = tokenClip(token, frameIndex);
+  return new renderBackend.Path2D(shape.path(r));
+}
+
+/** The frame's main color: the palette's metal slot, else the frame color. */
+function frameColor(token) {
+  return token.palette.metal || token.color;
+}
+
+/**
+ * The frame SVG string for a token's colors, shape, params and creature
+ * size (and frame, unless overridden), at `phase` through its animation
+ * loop. Imported frames ignore the size and phase.
+ */
+function frameSvg(token, frameIndex = token.frameIndex, phase = 0) {
+  return tokenFrame(token, frameIndex).fn(token.color, {
+    shape:   tokenShape(token),
+    params:  token.frameParams,
+    palette: token.palette,
+    scale:   tokenSquares(token),
+    phase,
+  });
+}
+
+/** True when one of the token's animated frame params is set away from its default. */
+function tokenAnimated(token) {
+  const schema = tokenFrame(token).params || [];
+  const values = withDefaults(schema, token.frameParams);
+  return schema.some(def => def.animated && values[def.key] !== def.default);
+}
+
+/** The token's banner/badge SVG layer, placed on its frame ring; null if unlabelled. */
+function tokenLabelsSvg(token) {
+  return labelsSvg(token.labels, frameColor(token), tokenClip(token));
+}
+
+/** The token's status condition overlay (rings, icons, slash, tint); null if none. */
+function tokenConditionsSvg(token) {
+  return conditionsSvg(token.conditions, tokenClip(token));
+}
+
+// ── Placement ──────────────────────────────────────────────────────────────
+
+/**
+ * Centre the image on the clip and size it by the rotated image's
+ * axis-aligned bounding box: 'fill' covers the clip, 'fit' shows the whole
+ * image inside it.
+ */
+function fitImage(token, mode = 'fill') {
+  if (!token.image) return;
+  const diameter = tokenClip(token).r * 2;
+  const a  = token.rotation * Math.PI / 180;
+  const bw = Math.abs(token.image.width * Math.cos(a)) + Math.abs(token.image.height * Math.sin(a));
+  const bh = Math.abs(token.image.width * Math.sin(a)) + Math.abs(token.image.height * Math.cos(a));
+  const scale = (mode === 'fit' ? Math.min : Math.max)(diameter / bw, diameter / bh);
+  token.zoom = scale;
+  token.panX = CX - (token.image.width  * scale) / 2;
+  token.panY = CY - (token.image.height * scale) / 2;
+}
+
+// ── Image layer ────────────────────────────────────────────────────────────
+
+// One processed copy per source image, rebuilt when its adjustments change
+const adjustCache = new WeakMap();   // image → { key, canvas }
+
+/**
+ * The token's image with its adjustments applied (adjust.js), or the image
+ * itself when there are none. The source pixels are never modified.
+ */
+function adjustedImage(token) {
+  const a = token.adjust;
+  if (isIdentityAdjust(a)) return token.image;
+
+  // The tint pulls toward the frame color, so only then does the color matter
+  const key    = JSON.stringify([a, a.tint ? frameColor(token) : null]);
+  const cached = adjustCache.get(token.image);
+  if (cached && cached.key === key) return cached.canvas;
+
+  const { width: w, height: h } = token.image;
+  const ac   = createCanvas(w, h);
+  const actx = ac.getContext('2d');
+  actx.drawImage(token.image, 0, 0);
+  const pixels = actx.getImageData(0, 0, w, h);
+  adjustPixels(pixels.data, w, h, a, frameColor(token));
+  actx.putImageData(pixels, 0, 0);
+
+  adjustCache.set(token.image, { key, canvas: ac });
+  return ac;
+}
+
+// Texture tiles as canvases, keyed by TEXTURES id or uploaded data URL
+const textureTiles = new Map();
+
+/** The pattern tile for a texture background, or null while an upload decodes. */
+function textureTile(bg) {
+  const key = bg.texture === 'upload' ? bg.upload : bg.texture;
+  if (!key) return null;
+  if (!textureTiles.has(key)) {
+    const texture = TEXTURES.find(t => t.id === key);
+    if (!texture) return null;
+    const tc   = createCanvas(TEXTURE_TILE, TEXTURE_TILE);
+    const tctx = tc.getContext('2d');
+    const tile = tctx.createImageData(TEXTURE_TILE, TEXTURE_TILE);
+    tile.data.set(texture.tile(TEXTURE_TILE));
+    tctx.putImageData(tile, 0, 0);
+    textureTiles.set(key, tc);
+  }
+  return textureTiles.get(key);
+}
+
+/** Decode a token's uploaded texture tile so renderBackground() can draw it. */
+async function loadBackground(token) {
+  const bg = token.background;
+  if (bg.mode !== 'texture' || bg.texture !== 'upload' || !bg.upload) return;
+  if (textureTiles.has(bg.upload)) return;
+  try {
+    textureTiles.set(bg.upload, await renderBackend.loadDataURL(bg.upload));
+  } catch (e) {
+    console.warn('Background texture failed to load:', e);
+  }
+}
+
+/** Fill the token background (512-space, already clipped) behind the image. */
+function renderBackground(c, token) {
+  const bg = token.background;
+  if (bg.mode === 'solid') {
+    c.fillStyle = bg.color;
+  } else if (bg.mode === 'radial' || bg.mode === 'linear') {
+    const { r } = tokenClip(token);
+    const gradient = bg.mode === 'radial'
+      ? c.createRadialGradient(CX, CY, 0, CX, CY, r)
+      : c.createLinearGradient(0, CY - r, 0, CY + r);
+    for (const [offset, color] of gradientStops(bg.mode, frameColor(token))) gradient.addColorStop(offset, color);
+    c.fillStyle = gradient;
+  } else if (bg.mode === 'texture') {
+    const tile = textureTile(bg);
+    if (!tile) return;
+    c.fillStyle = c.createPattern(tile, 'repeat');
+  } else {
+    return;
+  }
+  c.fillRect(0, 0, SIZE, SIZE);
+}
+
+/**
+ * Draw the clipped image layer of a token at targetSize px.
+ *
+ * The image is always drawn from the full-resolution (adjusted) source pixels
+ * scaled by targetSize / SIZE, so exports larger than the preview are
+ * resampled from the source rather than upscaled from the 512 preview.
+ */
+function renderImageLayer(c, targetSize, token) {
+  const s = targetSize / SIZE;
+
+  // Clip to the token shape then draw image, working in 512-space units
+  c.save();
+  c.scale(s, s);
+  c.clip(clipPath(token));
+
+  if (!token.image) {
+    c.fillStyle = '#2a2a3a';
+    c.fillRect(0, 0, SIZE, SIZE);
+    c.fillStyle = '#555';
+    c.font = '14px sans-serif';
+    c.textAlign    = 'center';
+    c.textBaseline = 'middle';
+    c.fillText('Upload an image', CX, CY);
+  } else {
+    renderBackground(c, token);
+    const w = token.image.width  * token.zoom;
+    const h = token.image.height * token.zoom;
+    c.imageSmoothingQuality = 'high';
+    applyImageTransform(c, token);
+    c.drawImage(adjustedImage(token), -w / 2, -h / 2, w, h);
+  }
+
+  c.restore();
+}
+
+// ── Pop-out layer ──────────────────────────────────────────────────────────
+
+const POP_OUT_MASK_CACHE = 32;   // decoded masks kept
+const popOutMasks = new Map();   // mask data URL → drawable
+
+/**
+ * Keep a drawable for a pop-out mask key, so a mask just painted on a
+ * canvas needn't be decoded again from its data URL.
+ */
+function cachePopOutMask(key, drawable) {
+  popOutMasks.delete(key);
+  popOutMasks.set(key, drawable);
+  if (popOutMasks.size > POP_OUT_MASK_CACHE) popOutMasks.delete(popOutMasks.keys().next().value);
+}
+
+/** Decode a token's pop-out mask so renderPopOutLayer() can draw it. */
+async function loadPopOut(token) {
+  const { enabled, mask } = token.popOut;
+  if (!enabled || !mask || popOutMasks.has(mask)) return;
+  try {
+    cachePopOutMask(mask, await renderBackend.loadDataURL(mask));
+  } catch (e) {
+    console.warn('Pop-out mask failed to load:', e);
+  }
+}
+
+/**
+ * Draw the pop-out copy of a token's image (see popout.js) at targetSize px:
+ * unclipped, masked, and cut off at POP_OUT_LINE. Nothing while its mask
+ * is still decoding.
+ */
+function renderPopOutLayer(c, targetSize, token) {
+  const { enabled, mask } = token.popOut;
+  if (!enabled || !token.image) return;
+  const maskImg = mask && popOutMasks.get(mask);
+  if (mask && !maskImg) return;
+
+  const s = targetSize / SIZE;
+  const w = token.image.width  * token.zoom;
+  const h = token.image.height * token.zoom;
+  const layer = createCanvas(targetSize, targetSize);
+  const lc    = layer.getContext('2d');
+  lc.scale(s, s);
+  lc.imageSmoothingQuality = 'high';
+  applyImageTransform(lc, token);
+  lc.drawImage(adjustedImage(token), -w / 2, -h / 2, w, h);
+  if (maskImg) {
+    lc.globalCompositeOperation = 'destination-in';
+    lc.drawImage(maskImg, -w / 2, -h / 2, w, h);
+  }
+
+  c.save();
+  c.beginPath();
+  c.rect(0, 0, targetSize, POP_OUT_LINE * s);
+  c.clip();
+  c.drawImage(layer, 0, 0);
+  c.restore();
+}
+
+// ── Compositing ────────────────────────────────────────────────────────────
+
+/** Draw a token into c at size px from its already decoded frame, condition and label layers. */
+function composeToken(c, size, token, frameImg, labelsImg, conditionsImg) {
+  c.clearRect(0, 0, size, size);
+  renderImageLayer(c, size, token);
+  // Frame on top, the pop-out over its top arc, then conditions, then the labels over all
+  if (frameImg)      c.drawImage(frameImg, 0, 0, size, size);
+  renderPopOutLayer(c, size, token);
+  if (conditionsImg) c.drawImage(conditionsImg, 0, 0, size, size);
+  if (labelsImg)     c.drawImage(labelsImg, 0, 0, size, size);
+}
+
+/**
+ * Render a token into c at size px, its frame at `phase` through its
+ * animation loop: decode its layers through the backend, then compose.
+ * The page adds caching on top (see app.js render()).
+ */
+async function renderToken(c, size, token, phase = 0) {
+  await Promise.all([loadBackground(token), loadPopOut(token)]);
+  const labels     = tokenLabelsSvg(token);
+  const conditions = tokenConditionsSvg(token);
+  const [frameImg, labelsImg, conditionsImg] = await Promise.all([
+    renderBackend.loadSvg(frameSvg(token, token.frameIndex, phase), size),
+    labels && renderBackend.loadSvg(labels, size),
+    conditions && renderBackend.loadSvg(conditions, size),
+  ]);
+  composeToken(c, size, token, frameImg, labelsImg, conditionsImg);
+}
+
+/**
+ * Standalone SVG: the cropped image embedded as a PNG inside the clip shape,
+ * with the frame's own SVG nested on top so the border stays vector, and
+ * the pop-out copy as a second PNG over that. Call loadBackground(token)
+ * and loadPopOut(token) first when it may use an uploaded texture or mask.
+ */
+function tokenSvg(token, size) {
+  const layer = createCanvas(size, size);
+  renderImageLayer(layer.getContext('2d'), size, token);
+  let popOut = '';
+  if (token.popOut.enabled && token.image) {
+    const pc = createCanvas(size, size);
+    renderPopOutLayer(pc.getContext('2d'), size, token);
+    popOut = `<image width="${SIZE}" height="${SIZE}" xlink:href="${pc.toDataURL('image/png')}"/>`;
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${size}" height="${size}" viewBox="0 0 ${SIZE} ${SIZE}">
+  <image width="${SIZE}" height="${SIZE}" xlink:href="${layer.toDataURL('image/png')}"/>
+  ${frameSvg(token)}
+  ${popOut}
+  ${tokenConditionsSvg(token) || ''}
+  ${tokenLabelsSvg(token) || ''}
+</svg>`;
+}
@@ -0,0 +1,133 @@
+/**
+ * frame-import.js — User-supplied SVG / PNG frames.
+ *
+ * An imported frame is kept as a plain record (persisted to localStorage):
+ *   { id, label, kind: 'svg' | 'png', data, recolor, clipR, profile }
+ * where `data` is the SVG source text or a PNG data URL, and clipR/profile
+ * describe the transparent inner hole found by detectFrameHole().
+ *
+ * customFrameEntry() turns a record into a FRAMES-compatible entry. Besides
+ * { id, label, fn } it carries `custom: true`, `clipR` and `clipShape`, which
+ * replace CLIP_R and the token shape when clipping the image.
+ */
+
+const CUSTOM_FRAMES_KEY = 'maptoken.customFrames';
+
+// Placeholder colors an SVG frame can use to pick up the toneVariants()
+// palette of the frame color (matched case-insensitively).
+const PLACEHOLDER_TONES = {
+  '#ff00ff': 'base',
+  '#f0f':    'base',
+  '#ff80ff': 'light',
+  '#800080': 'dark',
+  '#400040': 'vdark',
+  '#ffc0ff': 'shine',
+};
+
+// ── SVG source ─────────────────────────────────────────────────────────────
+
+/** Substitute placeholder colors with the tones derived from `color`. */
+function recolorSvg(svgText, color) {
+  const t = toneVariants(color);
+  return svgText.replace(/#(?:[0-9a-f]{6}|[0-9a-f]{3})\b/gi, hex => {
+    const tone = PLACEHOLDER_TONES[hex.toLowerCase()];
+    return tone ? t[tone] : hex;
+  });
+}
+
+/** UTF-8 safe base64 for embedding SVG text in a data URL. */
+function base64Utf8(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+/** The record's artwork as a data URL, recolored for `color` when enabled. */
+function customFrameHref(record, color) {
+  if (record.kind === 'png') return record.data;
+  const text = record.recolor ? recolorSvg(record.data, color) : record.data;
+  return `data:image/svg+xml;base64,${base64Utf8(text)}`;
+}
+
+// ── Hole detection ─────────────────────────────────────────────────────────
+
+/**
+ * Find the transparent region around the centre of a 512×512 RGBA frame
+ * raster by flood fill. Returns { clipR, profile } — the hole's outline as a
+ * radialProfile() (null when it is round enough to clip as a circle) and its
+ * outer radius — or null if the centre is opaque or the hole leaks to the edge.
+ */
+function detectFrameHole(data, size = 512) {
+  const opaque = i => data[i * 4 + 3] >= 128;
+  const start  = (size / 2) * size + size / 2;
+  if (opaque(start)) return null;
+
+  const hole  = new Uint8Array(size * size);
+  const stack = [start];
+  hole[start] = 1;
+  while (stack.length) {
+    const i = stack.pop();
+    const x = i % size, y = (i - x) / size;
+    if (x === 0 || y === 0 || x === size - 1 || y === size - 1) return null;
+    for (const n of [i - 1, i + 1, i - size, i + size]) {
+      if (!hole[n] && !opaque(n)) {
+        hole[n] = 1;
+        stack.push(n);
+      }
+    }
+  }
+
+  // Reuse the radial tracer on an RGBA buffer where the hole is "opaque"
+  const rgba = new Uint8ClampedArray(size * size * 4);
+  for (let i = 0; i < hole.length; i++) rgba[i * 4 + 3] = hole[i] ? 255 : 0;
+  const radii = radialProfile(rgba, size);
+
+  // Extend the clip 1.5px under the frame so no seam shows at its inner edge
+  const profile = radii.map(r => +(r + 1.5).toFixed(1));
+  const max = Math.max(...profile);
+  const min = Math.min(...profile);
+  return {
+    clipR:   max,
+    profile: min / max > 0.97 ? null : profile,
+  };
+}
+
+// ── Frame entries ──────────────────────────────────────────────────────────
+
+function customFrameEntry(record) {
+  return {
+    id:        record.id,
+    label:     record.label,
+    custom:    true,
+    clipR:     record.clipR,
+    clipShape: record.profile ? profileShape(record.profile) : CIRCLE_SHAPE,
+    fn: (color, { palette = {} } = {}) => `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="512" height="512" viewBox="0 0 512 512">
+    <image width="512" height="512" preserveAspectRatio="xMidYMid meet" xlink:href="${customFrameHref(record, palette.metal || color)}"/>
+  </svg>`,
+  };
+}
+
+// ── Persistence ────────────────────────────────────────────────────────────
+
+function loadStoredFrames() {
+  try {
+    return JSON.parse(localStorage.getItem(CUSTOM_FRAMES_KEY)) || [];
+  } catch (e) {
+    console.warn('Could not read imported frames:', e);
+    return [];
+  }
+}
+
+/** Persist records; returns false when browser storage is full or unavailable. */
+function storeFrames(records) {
+  try {
+    localStorage.setItem(CUSTOM_FRAMES_KEY, JSON.stringify(records));
+    return true;
+  } catch (e) {
+    console.warn('Could not save imported frames:', e);
+    return false;
+  }
+}
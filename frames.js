@@ -1,12 +1,19 @@
 /**
  * frames.js — SVG frame definitions as JavaScript template string functions.
  *
- * Each frame is (color: string) => svgString.
- * The SVG is 512×512. The inner circle (r=232) is kept transparent so the
- * clipped image shows through. All artwork lives in the outer 24px ring.
+ * Each frame is (color: string, { shape, params, palette, scale, phase }) => svgString,
+ * where params holds values for the frame's `params` schema (defaults fill
+ * the rest), palette the named color slots (see paletteTones()), scale
+ * the token's width in grid squares (see scaledShape()) and phase how far
+ * through its animation loop the frame is drawn (see Animation).
+ * The SVG is 512×512. The inner shape (r = 252 − ring width, 232 by default)
+ * is kept transparent so the clipped image shows through. All artwork lives
+ * in the ring and follows the token outline from shapes.js (circle when no
+ * shape is given).
  *
  * Multi-tone frames use toneVariants(hex) to derive light/dark shades from
- * a single hue so the single color-picker drives all frames.
+ * a single hue so the single color-picker drives all frames; palette slots
+ * that are set replace the tones derived for their part of the frame.
  */
 
 // ── Tone helper ────────────────────────────────────────────────────────────
@@ -53,175 +60,383 @@ function toneVariants(hex) {
   };
 }
 
+// ── Frame parameters ───────────────────────────────────────────────────────
+
+/**
+ * Each FRAMES entry declares `params`, a schema the controls panel builds its
+ * inputs from:
+ *   { key, label, type: 'range' | 'toggle', min, max, step, default, animated? }
+ * Values are stored per token by key, so shared keys (ring, gloss…) carry
+ * over when switching frames. Colors are not params — see PALETTE_SLOTS.
+ * `animated` params only move in animated exports; a frame with one of
+ * them set away from its default is animated.
+ */
+
+const FRAME_OUTER_R = 252;   // outer edge of every frame ring
+const RING_DEFAULT  = 20;    // default ring width → image clip radius 232
+
+const RING_PARAM      = { key: 'ring',      label: 'Ring width',     type: 'range',  min: 10, max: 48, step: 1, default: RING_DEFAULT };
+const GLOSS_PARAM     = { key: 'gloss',     label: 'Metallic gloss', type: 'toggle', default: false };
+
+/** Fill in schema defaults for any value not set in `values`. */
+function withDefaults(schema, values = {}) {
+  const out = {};
+  for (const def of schema) out[def.key] = def.key in values ? values[def.key] : def.default;
+  return out;
+}
+
+/** Inner radius of a frame ring — the image clip radius — for a ring width. */
+function ringInnerR(ring = RING_DEFAULT) {
+  return FRAME_OUTER_R - ring;
+}
+
+/**
+ * Map a radius designed for the default 232–252 ring onto a ring of the
+ * given width, keeping the outer edge in place.
+ */
+function ringScale(ring) {
+  return r => FRAME_OUTER_R - (FRAME_OUTER_R - r) * ring / RING_DEFAULT;
+}
+
+/**
+ * Frame palette slots. Each is a hex color or null to derive from the frame
+ * color: metal (the ring), accent (inner rings, second rope strand,
+ * flourishes, rivet heads, beads), gem, shadow (the darkest outlines) and
+ * glow (the pulsing glow; follows the gem color when unset).
+ */
+const PALETTE_SLOTS = ['metal', 'accent', 'gem', 'shadow', 'glow'];
+
+/** Tone sets for a frame: { metal, accent, gem, glow }, each like toneVariants(). */
+function paletteTones(color, palette = {}) {
+  const shadow = palette.shadow ? { vdark: palette.shadow } : {};
+  const tones  = hex => ({ ...toneVariants(hex), ...shadow });
+  const metal  = tones(palette.metal || color);
+  const gem    = palette.gem ? tones(palette.gem) : metal;
+  return {
+    metal,
+    accent: palette.accent ? tones(palette.accent) : metal,
+    gem,
+    glow:   palette.glow   ? tones(palette.glow)   : gem,
+  };
+}
+
+// ── Creature scale ─────────────────────────────────────────────────────────
+
+/**
+ * A token `scale` grid squares across keeps the ring, rivets and strokes
+ * the size they have on a one-square token, rather than growing with it.
+ * The frame is drawn in one square's units on a canvas `scale` times wider
+ * (svgWrap sets the viewBox), and scaledShape() moves the outline out to
+ * that canvas's edge: radius r there lies (256 − r) in from the edge, just
+ * as on a one-square token.
+ */
+function scaledShape(shape, scale = 1) {
+  if (scale === 1) return shape;
+  const grow = 256 * (scale - 1);
+  return {
+    ...shape,
+    scale,
+    path:  r => shape.path(r + grow),
+    point: (r, t) => shape.point(r + grow, t),
+  };
+}
+
+/** Where frame radius r of a frame drawn at `scale` lands in the 512 token space. */
+function frameRadius(r, scale = 1) {
+  return 256 - (256 - r) / scale;
+}
+
+/** Let a frame function take `scale` by handing it a scaledShape(). */
+function scalable(fn) {
+  return (color, { shape = CIRCLE_SHAPE, scale = 1, ...options } = {}) =>
+    fn(color, { ...options, shape: scaledShape(shape, scale) });
+}
+
 // ── SVG wrapper helper ─────────────────────────────────────────────────────
 
-function svgWrap(content) {
-  // The mask cuts out the inner circle (r < 232) so the canvas image shows through.
-  // SVG filled circles are discs — without this mask the innermost circle would
+function svgWrap(content, shape = CIRCLE_SHAPE, innerR = ringInnerR()) {
+  // The mask cuts out the inner shape (r < innerR) so the canvas image shows through.
+  // SVG filled shapes are solid — without this mask the innermost outline would
   // cover the user's photo with a solid fill (fill="transparent" is a compositing
   // no-op in SVG source-over and does NOT erase underlying paint).
-  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="512" height="512" viewBox="0 0 512 512">
+  // A scaled shape is centred on its larger canvas by shifting the artwork.
+  const scale = shape.scale || 1;
+  const size  = 512 * scale;
+  const shift = 256 * (scale - 1);
+  const at    = shift ? ` x="${-shift}" y="${-shift}"` : '';
+  const body  = `<g mask="url(#fm)">${content}</g>`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="512" height="512" viewBox="0 0 ${size} ${size}">
     <defs>
       <mask id="fm">
-        <rect width="512" height="512" fill="white"/>
-        <circle cx="256" cy="256" r="232" fill="black"/>
+        <rect${at} width="${size}" height="${size}" fill="white"/>
+        <path d="${shape.path(innerR)}" fill="black"/>
       </mask>
     </defs>
-    <g mask="url(#fm)">${content}</g>
+    ${shift ? `<g transform="translate(${shift},${shift})">${body}</g>` : body}
   </svg>`;
 }
 
+/** The token outline at radius r as a filled/stroked path element. */
+function outline(shape, r, attrs) {
+  return `<path d="${shape.path(r)}" ${attrs}/>`;
+}
+
+/** A light-to-dark sheen over the whole ring for the gloss option. */
+function glossLayer(shape, gloss) {
+  if (!gloss) return '';
+  return `
+    <defs>
+      <linearGradient id="gloss" x1="0" y1="0" x2="1" y2="1">
+        <stop offset="0%"   stop-color="white" stop-opacity="0.55"/>
+        <stop offset="45%"  stop-color="white" stop-opacity="0.05"/>
+        <stop offset="55%"  stop-color="black" stop-opacity="0"/>
+        <stop offset="100%" stop-color="black" stop-opacity="0.35"/>
+      </linearGradient>
+    </defs>
+    ${outline(shape, FRAME_OUTER_R, 'fill="url(#gloss)"')}`;
+}
+
+// ── Animation ──────────────────────────────────────────────────────────────
+
+/**
+ * Animated frames are drawn at a `phase` from 0 to 1 through one loop, and
+ * look the same at 0 and 1 so the loop is seamless. Stills are drawn at
+ * phase 0: the glow at its brightest, nothing turned, the first gem lit.
+ */
+const GLOW_PARAM    = { key: 'glow',    label: 'Pulsing glow', type: 'range',  min: 0,  max: 100, step: 5, default: 0, animated: true };
+const SPIN_PARAM    = { key: 'spin',    label: 'Turns / loop', type: 'range',  min: -2, max: 2,   step: 1, default: 0, animated: true };
+const SHIMMER_PARAM = { key: 'shimmer', label: 'Gem shimmer',  type: 'toggle', default: false, animated: true };
+
+/** How far round the outline a ring that makes `spin` turns per loop has turned. */
+function spinTurn(spin, phase) {
+  return (spin * phase) % 1;
+}
+
+/**
+ * A soft band of the glow color over the ring, `glow`% strong at its peak
+ * and pulsing down to 40% of that half-way through the loop.
+ */
+function glowLayer(shape, color, glow, R, phase) {
+  if (!glow) return '';
+  const pulse = 0.7 + 0.3 * Math.cos(2 * Math.PI * phase);
+  return `
+    <defs>
+      <filter id="frameGlow" x="-10%" y="-10%" width="120%" height="120%"><feGaussianBlur stdDeviation="5"/></filter>
+    </defs>
+    ${outline(shape, R(242), `fill="none" stroke="${color}" stroke-width="${+(FRAME_OUTER_R - R(232)).toFixed(1)}" opacity="${+(glow / 100 * pulse).toFixed(3)}" filter="url(#frameGlow)"`)}`;
+}
+
 // ── Frame 1 — Simple Ring ──────────────────────────────────────────────────
 
-function frameSimpleRing(color) {
-  const t = toneVariants(color);
+const SIMPLE_RING_PARAMS = [RING_PARAM, GLOSS_PARAM, GLOW_PARAM];
+
+function frameSimpleRing(color, { shape = CIRCLE_SHAPE, params = {}, palette = {}, phase = 0 } = {}) {
+  const { ring, gloss, glow } = withDefaults(SIMPLE_RING_PARAMS, params);
+  const { metal: t, glow: l } = paletteTones(color, palette);
+  const R = ringScale(ring);
   return svgWrap(`
-    <circle cx="256" cy="256" r="248" fill="${t.dark}" />
-    <circle cx="256" cy="256" r="240" fill="${t.base}" />
-    <circle cx="256" cy="256" r="234" fill="${t.dark}" />
-  `);
+    ${outline(shape, R(248), `fill="${t.dark}"`)}
+    ${outline(shape, R(240), `fill="${t.base}"`)}
+    ${outline(shape, R(234), `fill="${t.dark}"`)}
+    ${glossLayer(shape, gloss)}${glowLayer(shape, l.base, glow, R, phase)}
+  `, shape, R(232));
 }
 
 // ── Frame 2 — Double Ring ─────────────────────────────────────────────────
 
-function frameDoubleRing(color) {
-  const t = toneVariants(color);
+const DOUBLE_RING_PARAMS = [RING_PARAM, GLOSS_PARAM, GLOW_PARAM];
+
+function frameDoubleRing(color, { shape = CIRCLE_SHAPE, params = {}, palette = {}, phase = 0 } = {}) {
+  const { ring, gloss, glow } = withDefaults(DOUBLE_RING_PARAMS, params);
+  const { metal: t, accent: s, glow: l } = paletteTones(color, palette);   // s: inner ring
+  const R = ringScale(ring);
   return svgWrap(`
     <!-- outer ring -->
-    <circle cx="256" cy="256" r="252" fill="${t.vdark}" />
-    <circle cx="256" cy="256" r="248" fill="${t.base}" />
-    <circle cx="256" cy="256" r="243" fill="${t.vdark}" />
+    ${outline(shape, R(252), `fill="${t.vdark}"`)}
+    ${outline(shape, R(248), `fill="${t.base}"`)}
+    ${outline(shape, R(243), `fill="${t.vdark}"`)}
     <!-- gap -->
-    <circle cx="256" cy="256" r="240" fill="${t.dark}" />
+    ${outline(shape, R(240), `fill="${t.dark}"`)}
     <!-- inner ring -->
-    <circle cx="256" cy="256" r="238" fill="${t.vdark}" />
-    <circle cx="256" cy="256" r="235" fill="${t.light}" />
-    <circle cx="256" cy="256" r="232" fill="${t.vdark}" />
-  `);
+    ${outline(shape, R(238), `fill="${s.vdark}"`)}
+    ${outline(shape, R(235), `fill="${s.light}"`)}
+    ${outline(shape, R(232), `fill="${s.vdark}"`)}
+    ${glossLayer(shape, gloss)}${glowLayer(shape, l.base, glow, R, phase)}
+  `, shape, R(232));
 }
 
 // ── Frame 3 — Rope Twist ──────────────────────────────────────────────────
 // Simulated rope using alternating arc dashes around the ring.
 
-function frameRopeTwist(color) {
-  const t = toneVariants(color);
-  const cx = 256, cy = 256, r = 242;
-  const segments = 36;
-  const step = (2 * Math.PI) / segments;
+const ROPE_TWIST_PARAMS = [
+  RING_PARAM,
+  { key: 'segments', label: 'Twists', type: 'range', min: 12, max: 72, step: 2, default: 36 },
+  SPIN_PARAM,
+  GLOW_PARAM,
+];
+
+function frameRopeTwist(color, { shape = CIRCLE_SHAPE, params = {}, palette = {}, phase = 0 } = {}) {
+  const { ring, segments, spin, glow } = withDefaults(ROPE_TWIST_PARAMS, params);
+  const { metal: t, accent: a, glow: l } = paletteTones(color, palette);
+  const R = ringScale(ring);
+  const turn = spinTurn(spin, phase);
+  const r = R(242);
+  const step = 1 / segments;          // outline fraction per segment
+  const twist = 0.08 / (2 * Math.PI); // 0.08 rad on the circle, as an outline fraction
+  const alt = palette.accent ? a.base : t.dark;   // every other strand
   let strands = '';
   for (let i = 0; i < segments; i++) {
-    const a0 = i * step - Math.PI / 2;
-    const a1 = a0 + step * 0.55;
-    const x0 = cx + r * Math.cos(a0), y0 = cy + r * Math.sin(a0);
-    const x1 = cx + r * Math.cos(a1), y1 = cy + r * Math.sin(a1);
-    const fill = i % 2 === 0 ? t.base : t.dark;
+    const t0 = i * step + turn;
+    const [x0, y0] = shape.point(r, t0);
+    const [x1, y1] = shape.point(r, t0 + step * 0.55);
+    const fill = i % 2 === 0 ? t.base : alt;
     // offset inner point for twist effect
-    const ri = 234;
-    const am = a0 + step * 0.275 + (i % 2 === 0 ? 0.08 : -0.08);
-    const xm = cx + ri * Math.cos(am), ym = cy + ri * Math.sin(am);
-    strands += `<path d="M${x0.toFixed(1)},${y0.toFixed(1)} Q${xm.toFixed(1)},${ym.toFixed(1)} ${x1.toFixed(1)},${y1.toFixed(1)}" stroke="${fill}" stroke-width="9" fill="none" stroke-linecap="round"/>`;
+    const ri = R(234);
+    const [xm, ym] = shape.point(ri, t0 + step * 0.275 + (i % 2 === 0 ? twist : -twist));
+    strands += `<path d="M${x0.toFixed(1)},${y0.toFixed(1)} Q${xm.toFixed(1)},${ym.toFixed(1)} ${x1.toFixed(1)},${y1.toFixed(1)}" stroke="${fill}" stroke-width="${+(9 * ring / RING_DEFAULT).toFixed(1)}" fill="none" stroke-linecap="round"/>`;
   }
   return svgWrap(`
-    <circle cx="256" cy="256" r="252" fill="${t.vdark}" />
-    <circle cx="256" cy="256" r="248" fill="${t.dark}" />
+    ${outline(shape, R(252), `fill="${t.vdark}"`)}
+    ${outline(shape, R(248), `fill="${t.dark}"`)}
     ${strands}
-    <circle cx="256" cy="256" r="233" fill="${t.vdark}" />
-  `);
+    ${outline(shape, R(233), `fill="${t.vdark}"`)}${glowLayer(shape, l.base, glow, R, phase)}
+  `, shape, R(232));
 }
 
 // ── Frame 4 — Ornate Fantasy ──────────────────────────────────────────────
 // Filigree vines and flourishes at cardinal and intercardinal points.
 
-function frameOrnateFantasy(color) {
-  const t = toneVariants(color);
-  // 8-point ornament generator
-  function petal(cx, cy, angle, size) {
-    const a = angle * Math.PI / 180;
-    const r1 = 238, r2 = 248;
-    const px = cx + r1 * Math.cos(a);
-    const py = cy + r1 * Math.sin(a);
-    const tip_x = cx + r2 * Math.cos(a);
-    const tip_y = cy + r2 * Math.sin(a);
-    const lx = cx + r1 * Math.cos(a - 0.18);
-    const ly = cy + r1 * Math.sin(a - 0.18);
-    const rx = cx + r1 * Math.cos(a + 0.18);
-    const ry = cy + r1 * Math.sin(a + 0.18);
-    return `<path d="M${lx.toFixed(1)},${ly.toFixed(1)} Q${tip_x.toFixed(1)},${tip_y.toFixed(1)} ${rx.toFixed(1)},${ry.toFixed(1)}" stroke="${t.shine}" stroke-width="2.5" fill="none"/>
-            <circle cx="${tip_x.toFixed(1)}" cy="${tip_y.toFixed(1)}" r="${(size * 0.35).toFixed(1)}" fill="${t.light}"/>`;
+const ORNATE_PARAMS = [
+  RING_PARAM,
+  { key: 'petals', label: 'Flourishes', type: 'range', min: 4, max: 16, step: 1, default: 8 },
+  GLOSS_PARAM,
+  SPIN_PARAM,
+  GLOW_PARAM,
+];
+
+function frameOrnateFantasy(color, { shape = CIRCLE_SHAPE, params = {}, palette = {}, phase = 0 } = {}) {
+  const { ring, petals: count, gloss, spin, glow } = withDefaults(ORNATE_PARAMS, params);
+  const { metal: t, accent: a, glow: l } = paletteTones(color, palette);
+  const R = ringScale(ring);
+  const turn = spinTurn(spin, phase);
+  const spread = 0.18 / (2 * Math.PI); // petal half-width, as an outline fraction
+  // ornament generator; `at` is the outline fraction of the petal tip
+  function petal(at, size) {
+    const r1 = R(238), r2 = R(248);
+    const [tip_x, tip_y] = shape.point(r2, at);
+    const [lx, ly] = shape.point(r1, at - spread);
+    const [rx, ry] = shape.point(r1, at + spread);
+    return `<path d="M${lx.toFixed(1)},${ly.toFixed(1)} Q${tip_x.toFixed(1)},${tip_y.toFixed(1)} ${rx.toFixed(1)},${ry.toFixed(1)}" stroke="${a.shine}" stroke-width="2.5" fill="none"/>
+            <circle cx="${tip_x.toFixed(1)}" cy="${tip_y.toFixed(1)}" r="${(size * 0.35).toFixed(1)}" fill="${a.light}"/>`;
   }
   let petals = '';
-  for (let i = 0; i < 8; i++) {
-    petals += petal(256, 256, i * 45 - 90, 6);
+  for (let i = 0; i < count; i++) {
+    petals += petal(i / count + turn, 6);
   }
   // vine arcs between petals
   let vines = '';
-  for (let i = 0; i < 8; i++) {
-    const a0 = (i * 45 - 90 + 22) * Math.PI / 180;
-    const a1 = (i * 45 - 90 + 44) * Math.PI / 180;
-    const rv = 241;
-    const x0 = 256 + rv * Math.cos(a0), y0 = 256 + rv * Math.sin(a0);
-    const x1 = 256 + rv * Math.cos(a1), y1 = 256 + rv * Math.sin(a1);
-    const xc = 256 + (rv + 4) * Math.cos((a0 + a1) / 2);
-    const yc = 256 + (rv + 4) * Math.sin((a0 + a1) / 2);
+  for (let i = 0; i < count; i++) {
+    const t0 = (i + 22 / 45) / count + turn;
+    const t1 = (i + 44 / 45) / count + turn;
+    const rv = R(241);
+    const [x0, y0] = shape.point(rv, t0);
+    const [x1, y1] = shape.point(rv, t1);
+    const [xc, yc] = shape.point(R(245), (t0 + t1) / 2);
     vines += `<path d="M${x0.toFixed(1)},${y0.toFixed(1)} Q${xc.toFixed(1)},${yc.toFixed(1)} ${x1.toFixed(1)},${y1.toFixed(1)}" stroke="${t.base}" stroke-width="2" fill="none"/>`;
   }
   return svgWrap(`
-    <circle cx="256" cy="256" r="252" fill="${t.vdark}" />
-    <circle cx="256" cy="256" r="248" fill="${t.dark}" />
-    <circle cx="256" cy="256" r="244" fill="${t.base}" />
-    <circle cx="256" cy="256" r="237" fill="${t.dark}" />
+    ${outline(shape, R(252), `fill="${t.vdark}"`)}
+    ${outline(shape, R(248), `fill="${t.dark}"`)}
+    ${outline(shape, R(244), `fill="${t.base}"`)}
+    ${outline(shape, R(237), `fill="${t.dark}"`)}
+    ${glossLayer(shape, gloss)}
     ${vines}
     ${petals}
-    <circle cx="256" cy="256" r="233" fill="${t.vdark}" />
-  `);
+    ${outline(shape, R(233), `fill="${t.vdark}"`)}${glowLayer(shape, l.base, glow, R, phase)}
+  `, shape, R(232));
 }
 
 // ── Frame 5 — Riveted Metal ───────────────────────────────────────────────
 
-function frameRivetedMetal(color) {
-  const t = toneVariants(color);
+const RIVETED_PARAMS = [
+  RING_PARAM,
+  { key: 'rivets',    label: 'Rivets',     type: 'range', min: 8, max: 48, step: 1,   default: 24 },
+  { key: 'rivetSize', label: 'Rivet size', type: 'range', min: 2, max: 9,  step: 0.5, default: 5 },
+  GLOSS_PARAM,
+  SPIN_PARAM,
+  GLOW_PARAM,
+];
+
+function frameRivetedMetal(color, { shape = CIRCLE_SHAPE, params = {}, palette = {}, phase = 0 } = {}) {
+  const { ring, rivets: n, rivetSize, gloss, spin, glow } = withDefaults(RIVETED_PARAMS, params);
+  const { metal: t, accent: a, glow: l } = paletteTones(color, palette);
+  const R = ringScale(ring);
+  const turn = spinTurn(spin, phase);
   // rivets evenly spaced around the ring
-  const n = 24;
   let rivets = '';
   for (let i = 0; i < n; i++) {
-    const a = (i / n) * 2 * Math.PI - Math.PI / 2;
-    const r = 242;
-    const x = (256 + r * Math.cos(a)).toFixed(1);
-    const y = (256 + r * Math.sin(a)).toFixed(1);
-    rivets += `<circle cx="${x}" cy="${y}" r="5" fill="${t.vdark}" stroke="${t.shine}" stroke-width="1.5"/>
-               <circle cx="${x}" cy="${y}" r="2" fill="${t.light}"/>`;
+    const [px, py] = shape.point(R(242), i / n + turn);
+    const x = px.toFixed(1);
+    const y = py.toFixed(1);
+    rivets += `<circle cx="${x}" cy="${y}" r="${rivetSize}" fill="${t.vdark}" stroke="${a.shine}" stroke-width="1.5"/>
+               <circle cx="${x}" cy="${y}" r="${+(rivetSize * 0.4).toFixed(1)}" fill="${a.light}"/>`;
   }
   // brushed-metal band using subtle gradient simulation via concentric strokes
   let bands = '';
   for (let i = 0; i < 5; i++) {
-    const ri = 234 + i * 3;
+    const ri = R(234 + i * 3);
     const op = 0.12 + i * 0.04;
-    bands += `<circle cx="256" cy="256" r="${ri}" fill="none" stroke="${t.light}" stroke-width="1.5" opacity="${op}"/>`;
+    bands += outline(shape, ri, `fill="none" stroke="${t.light}" stroke-width="1.5" opacity="${op}"`);
   }
   return svgWrap(`
-    <circle cx="256" cy="256" r="252" fill="${t.vdark}" />
-    <circle cx="256" cy="256" r="249" fill="${t.dark}" />
-    <circle cx="256" cy="256" r="237" fill="${t.base}" />
+    ${outline(shape, R(252), `fill="${t.vdark}"`)}
+    ${outline(shape, R(249), `fill="${t.dark}"`)}
+    ${outline(shape, R(237), `fill="${t.base}"`)}
     ${bands}
+    ${glossLayer(shape, gloss)}
     ${rivets}
-    <circle cx="256" cy="256" r="233" fill="${t.vdark}" />
-  `);
+    ${outline(shape, R(233), `fill="${t.vdark}"`)}${glowLayer(shape, l.base, glow, R, phase)}
+  `, shape, R(232));
 }
 
 // ── Frame 6 — Gem Border ──────────────────────────────────────────────────
 // Faceted gem shapes at cardinal + intercardinal points; beaded ring between.
 
-function frameGemBorder(color) {
-  const t = toneVariants(color);
+const GEM_BORDER_PARAMS = [
+  RING_PARAM,
+  { key: 'gems',    label: 'Gems',     type: 'range', min: 4, max: 16, step: 1, default: 8 },
+  { key: 'gemSize', label: 'Gem size', type: 'range', min: 8, max: 24, step: 1, default: 13 },
+  GLOSS_PARAM,
+  SHIMMER_PARAM,
+  GLOW_PARAM,
+];
+
+function frameGemBorder(color, { shape = CIRCLE_SHAPE, params = {}, palette = {}, phase = 0 } = {}) {
+  const { ring, gems: count, gemSize, gloss, shimmer, glow } = withDefaults(GEM_BORDER_PARAMS, params);
+  const { metal: t, accent: a, gem: g, glow: l } = paletteTones(color, palette);
+  const R = ringScale(ring);
+
+  // Shimmer: a glint that travels from gem to gem once per loop
+  function glint(at, gx, gy, size) {
+    if (!shimmer) return '';
+    const light = Math.max(0, Math.cos(2 * Math.PI * (phase % 1 - at))) ** 8;
+    if (light < 0.01) return '';
+    // A four-pointed star, points along the axes
+    const points = [];
+    for (let k = 0; k < 8; k++) {
+      const r = size * 0.45 * light * (k % 2 ? 0.28 : 1);
+      const a = k * Math.PI / 4;
+      points.push(`${(gx + r * Math.sin(a)).toFixed(1)},${(gy - r * Math.cos(a)).toFixed(1)}`);
+    }
+    return `<polygon points="${points.join(' ')}" fill="white" opacity="${+light.toFixed(3)}"/>`;
+  }
 
-  function gem(cx, cy, angle, size) {
-    const a = angle * Math.PI / 180;
-    const rc = 242; // ring radius for gem center
-    const gx = cx + rc * Math.cos(a);
-    const gy = cy + rc * Math.sin(a);
+  // `at` is the outline fraction of the gem centre
+  function gem(at, size) {
+    const rc = R(242); // ring radius for gem center
+    const [gx, gy, a] = shape.point(rc, at);
     const s = size;
-    // hexagonal gem shape oriented radially
-    const cos30 = Math.cos(Math.PI / 6), sin30 = Math.sin(Math.PI / 6);
+    // hexagonal gem shape oriented along the outline normal
     // top facets
     const pts = [
       [gx + Math.cos(a) * s * 0.4,       gy + Math.sin(a) * s * 0.4],       // tip
@@ -230,25 +445,24 @@ function frameGemBorder(color) {
       [gx + Math.cos(a - 1.2) * s * 0.55, gy + Math.sin(a - 1.2) * s * 0.55],
     ].map(p => p.map(v => v.toFixed(1)).join(',')).join(' ');
     return `
-      <polygon points="${pts}" fill="${t.base}" stroke="${t.vdark}" stroke-width="1"/>
+      <polygon points="${pts}" fill="${g.base}" stroke="${g.vdark}" stroke-width="1"/>
       <polygon points="${pts}" fill="url(#gemGrad)" opacity="0.4"/>
-      <circle cx="${gx.toFixed(1)}" cy="${gy.toFixed(1)}" r="${(size * 0.18).toFixed(1)}" fill="${t.shine}" opacity="0.7"/>
+      <circle cx="${gx.toFixed(1)}" cy="${gy.toFixed(1)}" r="${(size * 0.18).toFixed(1)}" fill="${g.shine}" opacity="0.7"/>${glint(at, gx, gy, size)}
     `;
   }
 
   let gems = '';
-  for (let i = 0; i < 8; i++) {
-    gems += gem(256, 256, i * 45 - 90, 13);
+  for (let i = 0; i < count; i++) {
+    gems += gem(i / count, gemSize);
   }
 
   // small beads between gems
   let beads = '';
-  for (let i = 0; i < 8; i++) {
-    const a = ((i + 0.5) * 45 - 90) * Math.PI / 180;
-    const r = 242;
-    const bx = (256 + r * Math.cos(a)).toFixed(1);
-    const by = (256 + r * Math.sin(a)).toFixed(1);
-    beads += `<circle cx="${bx}" cy="${by}" r="3.5" fill="${t.light}" stroke="${t.vdark}" stroke-width="1"/>`;
+  for (let i = 0; i < count; i++) {
+    const [px, py] = shape.point(R(242), (i + 0.5) / count);
+    const bx = px.toFixed(1);
+    const by = py.toFixed(1);
+    beads += `<circle cx="${bx}" cy="${by}" r="3.5" fill="${a.light}" stroke="${a.vdark}" stroke-width="1"/>`;
   }
 
   return svgWrap(`
@@ -258,22 +472,23 @@ function frameGemBorder(color) {
         <stop offset="100%" stop-color="white" stop-opacity="0"/>
       </radialGradient>
     </defs>
-    <circle cx="256" cy="256" r="252" fill="${t.vdark}" />
-    <circle cx="256" cy="256" r="249" fill="${t.dark}" />
-    <circle cx="256" cy="256" r="236" fill="${t.base}" />
-    <circle cx="256" cy="256" r="233" fill="${t.dark}" />
+    ${outline(shape, R(252), `fill="${t.vdark}"`)}
+    ${outline(shape, R(249), `fill="${t.dark}"`)}
+    ${outline(shape, R(236), `fill="${t.base}"`)}
+    ${outline(shape, R(233), `fill="${t.dark}"`)}
+    ${glossLayer(shape, gloss)}
     ${beads}
-    ${gems}
-  `);
+    ${gems}${glowLayer(shape, l.base, glow, R, phase)}
+  `, shape, R(232));
 }
 
 // ── Export ─────────────────────────────────────────────────────────────────
 
 const FRAMES = [
-  { id: 'simple-ring',    label: 'Simple Ring',  fn: frameSimpleRing    },
-  { id: 'double-ring',    label: 'Double Ring',  fn: frameDoubleRing    },
-  { id: 'rope-twist',     label: 'Rope Twist',   fn: frameRopeTwist     },
-  { id: 'ornate-fantasy', label: 'Ornate',       fn: frameOrnateFantasy },
-  { id: 'riveted-metal',  label: 'Riveted',      fn: frameRivetedMetal  },
-  { id: 'gem-border',     label: 'Gems',         fn: frameGemBorder     },
+  { id: 'simple-ring',    label: 'Simple Ring', fn: scalable(frameSimpleRing),    params: SIMPLE_RING_PARAMS },
+  { id: 'double-ring',    label: 'Double Ring', fn: scalable(frameDoubleRing),    params: DOUBLE_RING_PARAMS },
+  { id: 'rope-twist',     label: 'Rope Twist',  fn: scalable(frameRopeTwist),     params: ROPE_TWIST_PARAMS  },
+  { id: 'ornate-fantasy', label: 'Ornate',      fn: scalable(frameOrnateFantasy), params: ORNATE_PARAMS      },
+  { id: 'riveted-metal',  label: 'Riveted',     fn: scalable(frameRivetedMetal),  params: RIVETED_PARAMS     },
+  { id: 'gem-border',     label: 'Gems',        fn: scalable(frameGemBorder),     params: GEM_BORDER_PARAMS  },
 ];
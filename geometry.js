@@ -0,0 +1,194 @@
+/**
+ * geometry.js — Image placement math in the 512×512 canvas space.
+ *
+ * A token's image is placed by panX/panY (top-left of the unrotated image
+ * rect), zoom, rotation (degrees, clockwise, about the image centre) and
+ * flipX/flipY. Everything here takes that token as an argument and touches
+ * neither the DOM nor a canvas backend, so it runs the same in the page,
+ * in node/headless.js and under the tests in test/.
+ */
+
+// ── Constants ──────────────────────────────────────────────────────────────
+
+const SIZE       = 512;
+const CX         = SIZE / 2;
+const CY         = SIZE / 2;
+const HANDLE_R   = 8;     // corner handle draw radius (canvas px)
+const HANDLE_HIT = 16;    // corner handle hit-test radius (canvas px)
+const MIN_ZOOM   = 0.05;
+
+// ── Image transform ────────────────────────────────────────────────────────
+
+/** Image centre in canvas px. panX/panY stay the unrotated rect's top-left. */
+function imageCenter(token) {
+  return [
+    token.panX + (token.image.width  * token.zoom) / 2,
+    token.panY + (token.image.height * token.zoom) / 2,
+  ];
+}
+
+/**
+ * Apply the token's flip and rotation to an offset from the image centre
+ * (unrotated, unflipped canvas px).
+ */
+function imageOffset(token, x, y) {
+  const a = token.rotation * Math.PI / 180;
+  const fx = token.flipX ? -x : x;
+  const fy = token.flipY ? -y : y;
+  return [
+    fx * Math.cos(a) - fy * Math.sin(a),
+    fx * Math.sin(a) + fy * Math.cos(a),
+  ];
+}
+
+/** Map an offset from the image centre (see imageOffset) to canvas px. */
+function imageToCanvas(token, x, y) {
+  const [ox, oy] = imageOffset(token, x, y);
+  const [cx, cy] = imageCenter(token);
+  return [cx + ox, cy + oy];
+}
+
+/**
+ * Canvas point → position on the image in image px from its centre, before
+ * flip and rotation (the inverse of imageToCanvas, in image units).
+ */
+function canvasToImage(token, x, y) {
+  const [cx, cy] = imageCenter(token);
+  const a  = -token.rotation * Math.PI / 180;
+  const dx = x - cx, dy = y - cy;
+  const ux = (dx * Math.cos(a) - dy * Math.sin(a)) / token.zoom;
+  const uy = (dx * Math.sin(a) + dy * Math.cos(a)) / token.zoom;
+  return [token.flipX ? -ux : ux, token.flipY ? -uy : uy];
+}
+
+/**
+ * Set up c so that drawImage(image, -w/2, -h/2, w, h) lands the token's
+ * image with its pan, zoom, rotation and flip applied.
+ */
+function applyImageTransform(c, token) {
+  const [cx, cy] = imageCenter(token);
+  c.translate(cx, cy);
+  c.rotate(token.rotation * Math.PI / 180);
+  c.scale(token.flipX ? -1 : 1, token.flipY ? -1 : 1);
+}
+
+/** Wrap an angle into (-180, 180]. */
+function normalizeAngle(deg) {
+  const a = ((deg % 360) + 360) % 360;
+  return a > 180 ? a - 360 : a;
+}
+
+// ── Corner handles ─────────────────────────────────────────────────────────
+
+/**
+ * The 4 image corners in canvas px: [TL, TR, BL, BR] of the image's own
+ * (rotated, flipped) rectangle. Empty without an image.
+ */
+function imageCorners(token) {
+  if (!token.image) return [];
+  const hw = (token.image.width  * token.zoom) / 2;
+  const hh = (token.image.height * token.zoom) / 2;
+  return [
+    imageToCanvas(token, -hw, -hh),   // 0 TL
+    imageToCanvas(token,  hw, -hh),   // 1 TR
+    imageToCanvas(token, -hw,  hh),   // 2 BL
+    imageToCanvas(token,  hw,  hh),   // 3 BR
+  ];
+}
+
+/**
+ * Clamp a corner position so the handle stays within the canvas.
+ * Handles for corners that are off-canvas get pushed to the nearest edge
+ * so they're always reachable by the user.
+ */
+function clampHandle(x, y) {
+  const pad = HANDLE_R + 2;
+  return [
+    Math.max(pad, Math.min(SIZE - pad, x)),
+    Math.max(pad, Math.min(SIZE - pad, y)),
+  ];
+}
+
+/** Index of the first point whose clamped handle is under (mx, my), or -1. */
+function handleAt(points, mx, my) {
+  for (let i = 0; i < points.length; i++) {
+    const [hx, hy] = clampHandle(...points[i]);
+    const dx = mx - hx, dy = my - hy;
+    if (dx * dx + dy * dy <= HANDLE_HIT * HANDLE_HIT) return i;
+  }
+  return -1;
+}
+
+// ── Resize & zoom ──────────────────────────────────────────────────────────
+
+/**
+ * Start a corner resize drag from pointer (mx, my): snapshot the actual
+ * (unclamped) corner positions on the token as resize* fields.
+ * applyResize works from these anchors so the image doesn't jump when the
+ * user clicks a clamped handle that isn't at the real corner.
+ */
+function startResize(token, corner, mx, my) {
+  const corners = imageCorners(token);
+  token.resizeCorner       = corner;
+  token.resizeStartZoom    = token.zoom;
+  token.resizeFixedCorner  = [...corners[3 - corner]];
+  token.resizeActiveCorner = [...corners[corner]];
+  token.resizeMouseStartX  = mx;
+  token.resizeMouseStartY  = my;
+}
+
+/**
+ * Called while dragging a corner handle to (mx, my).
+ *
+ * Uses the positions snapshotted by startResize (resizeFixedCorner /
+ * resizeActiveCorner) so:
+ *   • No jump when clicking a clamped handle (whose screen position differs
+ *     from the actual image corner).
+ *   • Scale is computed relative to the start-of-drag state, not accumulated,
+ *     so there's no floating-point drift over a long drag.
+ *
+ * Aspect ratio is preserved: the diagonal from the fixed corner to the
+ * effective dragged-corner position drives the new zoom uniformly.
+ */
+function applyResize(token, mx, my) {
+  if (!token.image) return;
+
+  const [fX, fY] = token.resizeFixedCorner;
+  const [aX, aY] = token.resizeActiveCorner;
+
+  // Mouse delta from where the drag started → shift the active corner by that delta
+  const dx   = mx - token.resizeMouseStartX;
+  const dy   = my - token.resizeMouseStartY;
+  const newAX = aX + dx;
+  const newAY = aY + dy;
+
+  // Original diagonal (fixed → active at drag-start) used as the reference length
+  const origDiag = Math.sqrt((aX - fX) ** 2 + (aY - fY) ** 2);
+  const newDiag  = Math.sqrt((newAX - fX) ** 2 + (newAY - fY) ** 2);
+  if (origDiag === 0 || newDiag < 1) return;
+
+  const newZoom = Math.max(MIN_ZOOM, token.resizeStartZoom * (newDiag / origDiag));
+  const newW    = token.image.width  * newZoom;
+  const newH    = token.image.height * newZoom;
+
+  // Reposition so the fixed corner stays at (fX, fY): find where that corner
+  // sits relative to the centre at the new size (with rotation and flip
+  // applied), and move the centre so it lands on the anchor.
+  const fixedIndex = 3 - token.resizeCorner;
+  const [ox, oy] = imageOffset(
+    token,
+    fixedIndex & 1 ? newW / 2 : -newW / 2,   // TR / BR are on the right
+    fixedIndex & 2 ? newH / 2 : -newH / 2    // BL / BR are on the bottom
+  );
+  token.panX = fX - ox - newW / 2;
+  token.panY = fY - oy - newH / 2;
+  token.zoom = newZoom;
+}
+
+/** Scale the image by `factor` about canvas point (x, y), which stays put. */
+function zoomAt(token, x, y, factor) {
+  const newZoom = Math.max(MIN_ZOOM, token.zoom * factor);
+  token.panX = x - (x - token.panX) * (newZoom / token.zoom);
+  token.panY = y - (y - token.panY) * (newZoom / token.zoom);
+  token.zoom = newZoom;
+}
@@ -0,0 +1,133 @@
+/**
+ * labels.js — Name banner and numbered badge drawn over the frame ring.
+ *
+ * A token's `labels` setting:
+ *   { banner, bannerPos, badge, badgeClock }
+ * banner     name text; empty for no banner
+ * bannerPos  'bottom' | 'top'
+ * badge      short badge text ('3', 'B'); empty for no badge
+ * badgeClock clock position of the badge, 1–12
+ *
+ * labelsSvg() returns a 512×512 SVG layer composited on top of the frame, or
+ * null when there is nothing to draw. On a circular token the banner is a
+ * ribbon whose text follows the ring (textPath); on other shapes it is a
+ * straight plate across the bottom or top edge. Colors come from
+ * toneVariants() of the frame color.
+ */
+
+const DEFAULT_LABELS = {
+  banner:     '',
+  bannerPos:  'bottom',
+  badge:      '',
+  badgeClock: 4,
+};
+
+const LABEL_FONT       = 'Georgia, \'Times New Roman\', serif';
+const BANNER_FONT_SIZE = 18;
+const BANNER_WIDTH     = 26;   // ribbon / plate thickness
+const BADGE_R          = 22;
+const BADGE_FONT_SIZE  = 22;
+
+/** Escape text for use inside SVG markup. */
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+/** Rough rendered width of `text` — enough to size ribbons and plates. */
+function estimateTextWidth(text, fontSize) {
+  return text.length * fontSize * 0.62;
+}
+
+// ── Banner ─────────────────────────────────────────────────────────────────
+
+/**
+ * Arc from left to right through the bottom (or top) of a circle of radius r,
+ * spanning `span` radians — drawn so text placed on it reads upright.
+ */
+function bannerArc(r, span, position) {
+  const h   = span / 2;
+  const mid = position === 'top' ? -Math.PI / 2 : Math.PI / 2;
+  const dir = position === 'top' ? 1 : -1;   // left → right runs clockwise over the top
+  const x0 = 256 + r * Math.cos(mid - dir * h), y0 = 256 + r * Math.sin(mid - dir * h);
+  const x1 = 256 + r * Math.cos(mid + dir * h), y1 = 256 + r * Math.sin(mid + dir * h);
+  const f = n => n.toFixed(2);
+  return `M${f(x0)},${f(y0)} A${r},${r} 0 ${span > Math.PI ? 1 : 0} ${dir === 1 ? 1 : 0} ${f(x1)},${f(y1)}`;
+}
+
+function curvedBanner(text, position, r, t) {
+  const textW = estimateTextWidth(text, BANNER_FONT_SIZE) + 28;
+  const span  = Math.min(Math.PI * 0.9, textW / r);
+  // Put the glyphs' visual centre on the ribbon's centre line: the baseline
+  // sits outward of it at the bottom (letters grow inward) and inward at the top
+  const shift = BANNER_FONT_SIZE * 0.35;
+  const textR = position === 'top' ? r - shift : r + shift;
+  const id    = `banner-${position}`;
+  return `
+    <path d="${bannerArc(r, span, position)}" fill="none" stroke="${t.vdark}" stroke-width="${BANNER_WIDTH + 4}"/>
+    <path d="${bannerArc(r, span, position)}" fill="none" stroke="${t.dark}" stroke-width="${BANNER_WIDTH}"/>
+    <path d="${bannerArc(r - BANNER_WIDTH / 2 + 2, span, position)}" fill="none" stroke="${t.light}" stroke-width="1.5" opacity="0.7"/>
+    <path d="${bannerArc(r + BANNER_WIDTH / 2 - 2, span, position)}" fill="none" stroke="${t.light}" stroke-width="1.5" opacity="0.7"/>
+    <path id="${id}" d="${bannerArc(textR, Math.PI * 1.5, position)}" fill="none"/>
+    <text font-family="${LABEL_FONT}" font-size="${BANNER_FONT_SIZE}" font-weight="bold" fill="${t.shine}" letter-spacing="1">
+      <textPath href="#${id}" xlink:href="#${id}" startOffset="50%" text-anchor="middle">${escapeXml(text)}</textPath>
+    </text>`;
+}
+
+function straightBanner(text, position, shape, r, t) {
+  const [, y] = shape.point(r, position === 'top' ? 0 : 0.5);
+  const w = Math.min(2 * r, estimateTextWidth(text, BANNER_FONT_SIZE) + 32);
+  const h = BANNER_WIDTH;
+  return `
+    <rect x="${(256 - w / 2).toFixed(1)}" y="${(y - h / 2).toFixed(1)}" width="${w.toFixed(1)}" height="${h}" rx="5"
+          fill="${t.dark}" stroke="${t.vdark}" stroke-width="2"/>
+    <rect x="${(256 - w / 2 + 3).toFixed(1)}" y="${(y - h / 2 + 3).toFixed(1)}" width="${(w - 6).toFixed(1)}" height="${h - 6}" rx="3"
+          fill="none" stroke="${t.light}" stroke-width="1.2" opacity="0.7"/>
+    <text x="256" y="${(y + BANNER_FONT_SIZE * 0.35).toFixed(1)}" text-anchor="middle"
+          font-family="${LABEL_FONT}" font-size="${BANNER_FONT_SIZE}" font-weight="bold" fill="${t.shine}" letter-spacing="1">${escapeXml(text)}</text>`;
+}
+
+// ── Badge ──────────────────────────────────────────────────────────────────
+
+function badgeSvg(text, clock, shape, r, t) {
+  const [x, y] = shape.point(r, (clock % 12) / 12);
+  const br = text.length > 2 ? BADGE_R + 6 : BADGE_R;
+  const size = text.length > 1 ? BADGE_FONT_SIZE - 4 : BADGE_FONT_SIZE;
+  return `
+    <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${br + 2}" fill="${t.vdark}"/>
+    <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${br}" fill="${t.dark}" stroke="${t.shine}" stroke-width="2.5"/>
+    <text x="${x.toFixed(1)}" y="${(y + size * 0.35).toFixed(1)}" text-anchor="middle"
+          font-family="${LABEL_FONT}" font-size="${size}" font-weight="bold" fill="${t.shine}">${escapeXml(text)}</text>`;
+}
+
+// ── Layer ──────────────────────────────────────────────────────────────────
+
+/**
+ * The label layer for `labels` over a frame of `color`, following `shape`
+ * whose image clip has radius `r`; null when neither label is set.
+ */
+function labelsSvg(labels, color, { shape = CIRCLE_SHAPE, r = 232 } = {}) {
+  const banner = labels.banner.trim();
+  const text   = labels.badge.trim();
+  if (!banner && !text) return null;
+
+  const t     = toneVariants(color);
+  const ringR = (r + FRAME_OUTER_R) / 2 - 2;   // along the ring, clear of the canvas edge
+  let content = '';
+  if (banner) {
+    content += shape === CIRCLE_SHAPE
+      ? curvedBanner(banner, labels.bannerPos, ringR, t)
+      : straightBanner(banner, labels.bannerPos, shape, ringR, t);
+  }
+  if (text) content += badgeSvg(text, labels.badgeClock, shape, ringR, t);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="512" height="512" viewBox="0 0 512 512">${content}
+  </svg>`;
+}
+
+/** Badge text for the n-th token (1-based) of a series: '1', '2'… or 'A'…'Z', 'AA'… */
+function seriesLabel(n, style = 'number') {
+  if (style !== 'letter') return String(n);
+  let s = '';
+  for (; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + (n - 1) % 26) + s;
+  return s;
+}
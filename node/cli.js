@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * cli.js — Render one token from the command line.
+ *
+ *   node node/cli.js goblin.png --frame ornate-fantasy --color '#8c1c1c' --size 256 --out tokens/goblin.png
+ *
+ * Needs a canvas package (see headless.js). Run with --help for all options,
+ * --list-frames for the frame ids.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createRenderer } = require('./headless');
+
+const USAGE = `Usage: node node/cli.js <image> [options]
+
+  -f, --frame <id>       frame id (default: the first frame; see --list-frames)
+  -c, --color <#rrggbb>  frame color (default #c0922a)
+  -p, --palette <id>     palette preset id
+      --shape <id>       token shape (default circle)
+      --creature <id>    creature size, tiny to gargantuan (default medium)
+  -s, --size <px>        output size, 16–4096 (default 512)
+      --grid <px>        size by grid instead: the creature's squares × px per square
+      --fit <mode>       image placement: fill, fit or auto (default fill)
+      --pop-out          draw the image over the top of the frame too (for
+                         images with a transparent background)
+  -o, --out <path>       output .png, .webp or .svg (default: <image>-token.png)
+      --list-frames      print the frame, shape, palette and creature size ids
+  -h, --help`;
+
+const OPTIONS = {
+  frame:         { type: 'string', short: 'f' },
+  color:         { type: 'string', short: 'c', default: '#c0922a' },
+  palette:       { type: 'string', short: 'p' },
+  shape:         { type: 'string', default: 'circle' },
+  creature:      { type: 'string', default: 'medium' },
+  size:          { type: 'string', short: 's', default: '512' },
+  grid:          { type: 'string' },
+  fit:           { type: 'string', default: 'fill' },
+  'pop-out':     { type: 'boolean' },
+  out:           { type: 'string', short: 'o' },
+  'list-frames': { type: 'boolean' },
+  help:          { type: 'boolean', short: 'h' },
+};
+
+/** Look an id up in a list of { id } entries, or fail listing the valid ones. */
+function pick(list, id, what) {
+  const found = list.find(item => item.id === id);
+  if (!found) throw new Error(`Unknown ${what} "${id}". Choose from: ${list.map(item => item.id).join(', ')}`);
+  return found;
+}
+
+async function main() {
+  const { values: opts, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  if (opts.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const mt = createRenderer();
+  if (opts['list-frames']) {
+    console.log(`frames:   ${mt.FRAMES.map(f => f.id).join(', ')}`);
+    console.log(`shapes:   ${mt.SHAPES.map(s => s.id).join(', ')}`);
+    console.log(`palettes: ${mt.PALETTE_PRESETS.map(p => p.id).join(', ')}`);
+    console.log(`sizes:    ${mt.CREATURE_SIZES.map(s => s.id).join(', ')}`);
+    return;
+  }
+
+  const [input] = positionals;
+  if (!input) throw new Error(USAGE);
+  if (!/^#[0-9a-f]{6}$/i.test(opts.color)) throw new Error(`--color must look like #c0922a, got "${opts.color}"`);
+  if (!['fill', 'fit', 'auto'].includes(opts.fit)) throw new Error(`--fit must be fill, fit or auto, got "${opts.fit}"`);
+
+  const out    = opts.out || input.replace(/\.[^./\\]+$/, '') + '-token.png';
+  const format = path.extname(out).slice(1).toLowerCase();
+
+  const token = mt.createToken({
+    name:         path.basename(out, path.extname(out)),
+    color:        opts.color.toLowerCase(),
+    shape:        pick(mt.SHAPES, opts.shape, 'shape').id,
+    creatureSize: pick(mt.CREATURE_SIZES, opts.creature, 'creature size').id,
+    frameIndex:   opts.frame ? mt.FRAMES.indexOf(pick(mt.FRAMES, opts.frame, 'frame')) : 0,
+    popOut:       { enabled: !!opts['pop-out'], mask: null },
+  });
+  const size = opts.grid ? Math.round(mt.tokenSquares(token) * parseInt(opts.grid)) : parseInt(opts.size);
+  if (!(size >= 16 && size <= 4096)) {
+    throw new Error(opts.grid ? `--grid ${opts.grid} makes a ${size} px token; it must come to 16–4096`
+                              : `--size must be 16–4096, got "${opts.size}"`);
+  }
+  if (opts.palette) token.palette = { ...mt.AUTO_PALETTE, ...pick(mt.PALETTE_PRESETS, opts.palette, 'palette').slots };
+
+  try {
+    token.image = await mt.loadImage(input);
+  } catch (e) {
+    throw new Error(`Could not read ${input}: ${e.message}`);
+  }
+  if (opts.fit === 'auto') mt.autoFrameImage(token);
+  else mt.fitImage(token, opts.fit);
+
+  fs.writeFileSync(out, await mt.encode(token, size, format));
+  console.log(`${out} (${size}×${size})`);
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exitCode = 1;
+});
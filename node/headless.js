@@ -0,0 +1,112 @@
+/**
+ * headless.js — The token renderer for Node build scripts.
+ *
+ * The page's scripts are plain browser scripts sharing one global scope, so
+ * this runs the DOM-free ones (CORE_SCRIPTS) together in a vm context and
+ * returns their API, with core.js drawing through a Node canvas package:
+ * @napi-rs/canvas, or node-canvas (`canvas`) if that is what's installed.
+ * Packages are looked up from the working directory as well as from here.
+ *
+ *   const { createRenderer } = require('./node/headless');
+ *   const mt    = createRenderer();
+ *   const token = mt.createToken({ color: '#8c1c1c', frameIndex: mt.frameIndexOf('ornate-fantasy') });
+ *   token.image = await mt.loadImage('goblin.png');
+ *   mt.fitImage(token);   // or mt.autoFrameImage(token)
+ *   fs.writeFileSync('goblin-token.png', await mt.encode(token, 512, 'png'));
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const vm   = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// In page load order (see index.html)
+const CORE_SCRIPTS = ['shapes.js', 'frames.js', 'palettes.js', 'adjust.js', 'background.js', 'labels.js', 'conditions.js', 'popout.js', 'geometry.js', 'core.js', 'autoframe.js'];
+
+const CORE_API = [
+  'SIZE', 'FRAMES', 'SHAPES', 'PALETTE_PRESETS', 'AUTO_PALETTE', 'CREATURE_SIZES', 'tokenSquares',
+  'createToken', 'frameIndexOf', 'fitImage', 'autoFrameImage',
+  'renderToken', 'loadBackground', 'loadPopOut', 'tokenSvg', 'frameSvg', 'seriesLabel',
+];
+
+const MIME = { png: 'image/png', webp: 'image/webp' };
+
+/** The first canvas package that resolves, or a clear error saying what to install. */
+function requireCanvas() {
+  for (const name of ['@napi-rs/canvas', 'canvas']) {
+    let resolved;
+    try {
+      resolved = require.resolve(name, { paths: [process.cwd(), __dirname] });
+    } catch (e) {
+      continue;
+    }
+    const lib = require(resolved);
+    if (!lib.Path2D) throw new Error(`The installed ${name} package has no Path2D; install @napi-rs/canvas instead.`);
+    return lib;
+  }
+  throw new Error('Headless rendering needs a canvas package. Install one where your script runs:\n' +
+    '  npm install @napi-rs/canvas');
+}
+
+/** The SVG with its root drawn at size px, so the backend rasterizes it sharp. */
+function sizedSvg(svg, size) {
+  return svg.replace('width="512" height="512"', `width="${size}" height="${size}"`);
+}
+
+/**
+ * Run page scripts (paths relative to the repo root, in load order) together
+ * in a fresh vm context and return it; their top-level declarations are
+ * reachable with vm.runInContext(name, context). `globals` adds browser
+ * globals the scripts need beyond the language itself (btoa, crypto…).
+ */
+function loadScripts(files = CORE_SCRIPTS, globals = {}) {
+  const context = vm.createContext({ console, ...globals });
+  for (const file of files) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  }
+  return context;
+}
+
+/**
+ * Load the core scripts into a fresh context. Returns the CORE_API bindings
+ * plus loadImage(), renderCanvas() and encode() helpers.
+ */
+function createRenderer(canvasLib = requireCanvas()) {
+  const context = loadScripts();
+  const api = vm.runInContext(`({ setRenderBackend, ${CORE_API.join(', ')} })`, context);
+
+  api.setRenderBackend({
+    createCanvas: (w, h) => canvasLib.createCanvas(w, h),
+    loadSvg:      (svg, size) => canvasLib.loadImage(Buffer.from(sizedSvg(svg, size))),
+    loadDataURL:  url => canvasLib.loadImage(Buffer.from(url.slice(url.indexOf(',') + 1), 'base64')),
+    Path2D:       canvasLib.Path2D,
+  });
+  delete api.setRenderBackend;
+
+  /** Decode an image file path or Buffer. */
+  api.loadImage = source => canvasLib.loadImage(typeof source === 'string' ? fs.readFileSync(source) : source);
+
+  /** A new size × size canvas with the token rendered into it. */
+  api.renderCanvas = async (token, size = api.SIZE) => {
+    const canvas = canvasLib.createCanvas(size, size);
+    await api.renderToken(canvas.getContext('2d'), size, token);
+    return canvas;
+  };
+
+  /** The token as an encoded file: format 'png', 'webp' or 'svg'. Resolves to a Buffer. */
+  api.encode = async (token, size = api.SIZE, format = 'png') => {
+    if (format === 'svg') {
+      await Promise.all([api.loadBackground(token), api.loadPopOut(token)]);
+      return Buffer.from(api.tokenSvg(token, size));
+    }
+    if (!MIME[format]) throw new Error(`Unknown format "${format}" (use png, webp or svg)`);
+    return (await api.renderCanvas(token, size)).toBuffer(MIME[format]);
+  };
+
+  return api;
+}
+
+module.exports = { createRenderer, requireCanvas, loadScripts, CORE_SCRIPTS };
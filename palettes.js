@@ -0,0 +1,51 @@
+/**
+ * palettes.js — Preset and user-saved frame palettes.
+ *
+ * A palette is a token's `palette` setting: one hex color or null per
+ * PALETTE_SLOTS entry (frames.js). Null slots derive from the frame color,
+ * so the empty palette is the classic single-color mode.
+ *
+ * Saved palettes are kept in localStorage as { id, label, slots }.
+ */
+
+const SAVED_PALETTES_KEY = 'maptoken.palettes';
+
+const AUTO_PALETTE = { metal: null, accent: null, gem: null, shadow: null, glow: null };
+
+const PALETTE_PRESETS = [
+  { id: 'gold-ruby',      label: 'Gold & Ruby',      slots: { metal: '#c0922a', accent: '#e8c872', gem: '#b3122e', shadow: '#2a1a05' } },
+  { id: 'iron',           label: 'Iron',             slots: { metal: '#6e6e73', accent: '#2b2b2f', gem: '#8fa3b3', shadow: '#111114' } },
+  { id: 'elven-silver',   label: 'Elven Silver',     slots: { metal: '#c8d0d8', accent: '#6fb59a', gem: '#4aa3d9', shadow: '#2e3a46' } },
+  { id: 'bronze-jade',    label: 'Bronze & Jade',    slots: { metal: '#a0642c', accent: '#d9a066', gem: '#2f9e6e', shadow: '#24150a' } },
+  { id: 'crimson-legion', label: 'Crimson Legion',   slots: { metal: '#8c1c1c', accent: '#d4af37', gem: '#d4af37', shadow: '#1a0505' } },
+  { id: 'azure-order',    label: 'Azure Order',      slots: { metal: '#2f5fa8', accent: '#e8e8e8', gem: '#f2c14e', shadow: '#0b1a33' } },
+  { id: 'verdant-circle', label: 'Verdant Circle',   slots: { metal: '#3c7a3a', accent: '#a4743a', gem: '#9be06b', shadow: '#0e200d' } },
+  { id: 'shadow-cabal',   label: 'Shadow Cabal',     slots: { metal: '#3b2a4a', accent: '#8a5cc2', gem: '#c23bd4', shadow: '#0a050f' } },
+];
+
+/** True when two palettes set the same colors in every slot. */
+function samePalette(a, b) {
+  return PALETTE_SLOTS.every(slot => (a[slot] || null) === (b[slot] || null));
+}
+
+// ── Persistence ────────────────────────────────────────────────────────────
+
+function loadSavedPalettes() {
+  try {
+    return JSON.parse(localStorage.getItem(SAVED_PALETTES_KEY)) || [];
+  } catch (e) {
+    console.warn('Could not read saved palettes:', e);
+    return [];
+  }
+}
+
+/** Persist palettes; returns false when browser storage is full or unavailable. */
+function storeSavedPalettes(palettes) {
+  try {
+    localStorage.setItem(SAVED_PALETTES_KEY, JSON.stringify(palettes));
+    return true;
+  } catch (e) {
+    console.warn('Could not save palettes:', e);
+    return false;
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * popout.js — Pop-out ("dynamic ring") tokens: the subject breaking out
+ * over the top of the frame.
+ *
+ * A token's `popOut` setting:
+ *   { enabled, mask }
+ * enabled  draw a second, unclipped copy of the image over the frame,
+ *          above POP_OUT_LINE, so horns, wings or a raised sword overlap
+ *          the border while the lower body stays inside it
+ * mask     a PNG data URL, or null to pop out the whole image: alpha says
+ *          which parts of the image pop out. It is kept in image space at
+ *          popOutMaskSize(), so it follows the image when it is moved,
+ *          zoomed or rotated.
+ * Without a mask the copy is the image as it is, so that suits images with
+ * a transparent (or keyed-out) background; otherwise paint one.
+ */
+
+const DEFAULT_POP_OUT = {
+  enabled: false,
+  mask:    null,
+};
+
+const POP_OUT_LINE     = 256;   // the copy is drawn above this y (512-space)
+const POP_OUT_MASK_MAX = 512;   // longest mask side (px)
+
+const POP_OUT_BRUSH_MIN = 4;    // brush radius range (canvas px)
+const POP_OUT_BRUSH_MAX = 64;
+
+/** Mask [width, height] in px for an image: its own size, at most POP_OUT_MASK_MAX. */
+function popOutMaskSize(image) {
+  const k = Math.min(1, POP_OUT_MASK_MAX / Math.max(image.width, image.height));
+  return [Math.max(1, Math.round(image.width * k)), Math.max(1, Math.round(image.height * k))];
+}
+
+/**
+ * A brush dab at canvas point (x, y) of radius r in canvas px, as
+ * [x, y, r] in mask px (see canvasToImage for the image transform).
+ */
+function popOutMaskPoint(token, x, y, r) {
+  const { width: w, height: h } = token.image;
+  const [mw, mh] = popOutMaskSize(token.image);
+  const [ux, uy] = canvasToImage(token, x, y);
+  return [(ux + w / 2) * mw / w, (uy + h / 2) * mh / h, r / token.zoom * mw / w];
+}
@@ -0,0 +1,235 @@
+/**
+ * print.js — Print sheets: token layout on paper and a minimal PDF writer.
+ *
+ * Everything here is in millimetres from the top-left of the page; the PDF
+ * writer converts to points. A sheet lays out one of two kinds of cell:
+ *   flat     a token at its print diameter, with an optional bleed band
+ *            around it so a slightly-off cut never shows white paper
+ *   standee  a fold-over tent: the token on the front panel and a mirrored
+ *            copy, upside down, on the back panel above it, so that once
+ *            folded along the shared edge the back reads from behind
+ * Print options are kept in localStorage as
+ *   { source, size, page, copies, bleed, cutLines, standee }.
+ *
+ * buildPdf() writes just enough PDF 1.4 for this: JPEG images (DCTDecode,
+ * so the browser's own encoder does the compression) placed and flipped
+ * with a transform, plus stroked cut and fold lines.
+ */
+
+'use strict';
+
+const PRINT_KEY    = 'maptoken.print';
+const PRINT_DPI    = 300;
+const PRINT_MARGIN = 10;    // page margin (mm) — inside most printers' unprintable edge
+const PRINT_GAP    = 3;     // space between cells (mm)
+const PRINT_BLEED  = 2;     // bleed band width when bleed is on (mm)
+const MM_TO_PT     = 72 / 25.4;
+
+const PRINT_PAGES = [
+  { id: 'a4',     label: 'A4',     width: 210,   height: 297   },
+  { id: 'letter', label: 'Letter', width: 215.9, height: 279.4 },
+];
+
+const PRINT_SIZES = [
+  { id: '1in',  label: '1″ (Medium)', mm: 25.4 },
+  { id: '25mm', label: '25 mm',       mm: 25   },
+  { id: '2in',  label: '2″ (Large)',  mm: 50.8 },
+  { id: '3in',  label: '3″ (Huge)',   mm: 76.2 },
+];
+
+const DEFAULT_PRINT = {
+  source:   'token',   // 'token' | 'queue' | 'library'
+  size:     '1in',     // PRINT_SIZES id
+  page:     'a4',      // PRINT_PAGES id
+  copies:   1,         // of each token
+  bleed:    false,
+  cutLines: true,
+  standee:  false,
+};
+
+// ── Options ────────────────────────────────────────────────────────────────
+
+function loadPrintOptions() {
+  try {
+    return { ...DEFAULT_PRINT, ...JSON.parse(localStorage.getItem(PRINT_KEY)) };
+  } catch (e) {
+    console.warn('Could not read print options:', e);
+    return { ...DEFAULT_PRINT };
+  }
+}
+
+function storePrintOptions(options) {
+  try {
+    localStorage.setItem(PRINT_KEY, JSON.stringify(options));
+  } catch (e) {
+    console.warn('Could not save print options:', e);
+  }
+}
+
+/** Pixels for a length in mm at PRINT_DPI. */
+function printPixels(mm) {
+  return Math.round(mm / 25.4 * PRINT_DPI);
+}
+
+// ── Layout ─────────────────────────────────────────────────────────────────
+
+/**
+ * Cell size in mm for a token of `diameter` mm: flat tokens grow by the
+ * bleed on every side; standees stack two panels and take no bleed, since
+ * their cut runs along the panel edge, clear of the round art.
+ */
+function printCell(diameter, { bleed = false, standee = false } = {}) {
+  if (standee) return { width: diameter, height: 2 * diameter };
+  const band = bleed ? PRINT_BLEED : 0;
+  return { width: diameter + 2 * band, height: diameter + 2 * band };
+}
+
+/**
+ * Where cells of `cell` size go on `page`: as many columns and rows as fit
+ * inside the margins, the grid centred. Returns { cols, rows, slots } with
+ * slots the top-left corner of each cell in reading order. Throws when not
+ * even one cell fits.
+ */
+function printGrid(page, cell) {
+  const fit  = (room, size) => Math.floor((room - 2 * PRINT_MARGIN + PRINT_GAP) / (size + PRINT_GAP));
+  const cols = fit(page.width, cell.width);
+  const rows = fit(page.height, cell.height);
+  if (cols < 1 || rows < 1) throw new Error(`Tokens this size do not fit on ${page.label} paper`);
+
+  const left = (page.width  - (cols * (cell.width  + PRINT_GAP) - PRINT_GAP)) / 2;
+  const top  = (page.height - (rows * (cell.height + PRINT_GAP) - PRINT_GAP)) / 2;
+  const slots = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      slots.push({ x: left + col * (cell.width + PRINT_GAP), y: top + row * (cell.height + PRINT_GAP) });
+    }
+  }
+  return { cols, rows, slots };
+}
+
+/**
+ * The drawing for a print run: `images` (one per token, any value — the
+ * caller's rasters) placed `copies` times each, in order, filling pages.
+ * Returns pages of { width, height, items, lines } ready for buildPdf(),
+ * with items { image, x, y, width, height, flip } and lines
+ * { x1, y1, x2, y2, dashed } in mm. A flat token's cut line follows its
+ * shape, so the caller draws that into its raster; only standees get cut
+ * lines here.
+ */
+function printSheets(images, { size, page, copies = 1, bleed = false, cutLines = true, standee = false }) {
+  const diameter = PRINT_SIZES.find(s => s.id === size).mm;
+  const paper    = PRINT_PAGES.find(p => p.id === page);
+  const cell     = printCell(diameter, { bleed, standee });
+  const { slots } = printGrid(paper, cell);
+
+  const placed = images.flatMap(image => Array(Math.max(1, copies)).fill(image));
+  const pages  = [];
+  placed.forEach((image, i) => {
+    if (i % slots.length === 0) pages.push({ width: paper.width, height: paper.height, items: [], lines: [] });
+    const { items, lines } = pages[pages.length - 1];
+    const { x, y } = slots[i % slots.length];
+
+    if (!standee) {
+      items.push({ image, x, y, width: cell.width, height: cell.height, flip: false });
+      return;
+    }
+    // Back panel on top, upside down; front below; fold between them
+    items.push({ image, x, y, width: diameter, height: diameter, flip: true });
+    items.push({ image, x, y: y + diameter, width: diameter, height: diameter, flip: false });
+    lines.push({ x1: x, y1: y + diameter, x2: x + diameter, y2: y + diameter, dashed: true });
+    if (cutLines) {
+      const bottom = y + cell.height, right = x + cell.width;
+      lines.push(
+        { x1: x, y1: y, x2: right, y2: y, dashed: false },
+        { x1: right, y1: y, x2: right, y2: bottom, dashed: false },
+        { x1: right, y1: bottom, x2: x, y2: bottom, dashed: false },
+        { x1: x, y1: bottom, x2: x, y2: y, dashed: false },
+      );
+    }
+  });
+  return pages;
+}
+
+// ── PDF ────────────────────────────────────────────────────────────────────
+
+function pdfNumber(v) {
+  return String(Math.round(v * 1000) / 1000);
+}
+
+/**
+ * Build a PDF from printSheets() pages whose item images are
+ * { jpeg: Uint8Array, width, height } (pixel size). An image used by many
+ * items is embedded once.
+ * @returns {Blob}
+ */
+function buildPdf(pages) {
+  const enc   = new TextEncoder();
+  const parts = [];
+  const xref  = [];   // byte offset of each object, by number − 1
+  let offset  = 0;
+
+  const write = data => {
+    const bytes = typeof data === 'string' ? enc.encode(data) : data;
+    parts.push(bytes);
+    offset += bytes.length;
+  };
+  const object = (n, dict, stream = null) => {
+    xref[n - 1] = offset;
+    write(`${n} 0 obj\n${dict}\n`);
+    if (stream) {
+      write('stream\n');
+      write(stream);
+      write('\nendstream\n');
+    }
+    write('endobj\n');
+  };
+
+  const images = [...new Set(pages.flatMap(p => p.items.map(item => item.image)))];
+  // 1 catalog, 2 page tree, then the images, then a page and its content for each page
+  const imageObj = n => 3 + n;
+  const pageObj  = n => 3 + images.length + 2 * n;
+
+  write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');   // high bytes mark the file as binary
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, `<< /Type /Pages /Kids [${pages.map((p, i) => `${pageObj(i)} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+
+  images.forEach((image, i) => {
+    object(imageObj(i),
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height}` +
+      ` /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.jpeg.length} >>`,
+      image.jpeg);
+  });
+
+  pages.forEach((page, i) => {
+    const height = page.height * MM_TO_PT;
+    const pt     = v => pdfNumber(v * MM_TO_PT);
+    const ops    = [];
+    for (const item of page.items) {
+      const w = item.width * MM_TO_PT, h = item.height * MM_TO_PT;
+      const x = item.x * MM_TO_PT,     y = height - (item.y + item.height) * MM_TO_PT;
+      // Images fill the unit square; a negative height turns one upside down
+      const matrix = item.flip ? [w, 0, 0, -h, x, y + h] : [w, 0, 0, h, x, y];
+      ops.push(`q ${matrix.map(pdfNumber).join(' ')} cm /Im${images.indexOf(item.image)} Do Q`);
+    }
+    if (page.lines.length) ops.push('0.5 G 0.25 w');
+    for (const line of page.lines) {
+      ops.push(`${line.dashed ? '[3 2] 0 d' : '[] 0 d'} ${pt(line.x1)} ${pdfNumber(height - line.y1 * MM_TO_PT)} m ` +
+        `${pt(line.x2)} ${pdfNumber(height - line.y2 * MM_TO_PT)} l S`);
+    }
+    const content = enc.encode(ops.join('\n'));
+    const used    = [...new Set(page.items.map(item => images.indexOf(item.image)))];
+
+    object(pageObj(i),
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pt(page.width)} ${pdfNumber(height)}]` +
+      ` /Resources << /XObject << ${used.map(n => `/Im${n} ${imageObj(n)} 0 R`).join(' ')} >> >>` +
+      ` /Contents ${pageObj(i) + 1} 0 R >>`);
+    object(pageObj(i) + 1, `<< /Length ${content.length} >>`, content);
+  });
+
+  const xrefAt = offset;
+  write(`xref\n0 ${xref.length + 1}\n0000000000 65535 f \n`);
+  for (const at of xref) write(`${String(at).padStart(10, '0')} 00000 n \n`);
+  write(`trailer\n<< /Size ${xref.length + 1} /Root 1 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`);
+
+  return new Blob(parts, { type: 'application/pdf' });
+}
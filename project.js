@@ -0,0 +1,96 @@
+/**
+ * project.js — Token project files and the in-browser token library.
+ *
+ * A project is a JSON document holding everything needed to re-render a
+ * token later at any size:
+ *   { app, version, name, image, settings, customFrame? }
+ * `image` is the original source image as a data URL, `settings` the
+ * token's SETTING_KEYS with the frame stored by id (see tokenSettings() in
+ * app.js), and `customFrame` the imported-frame record when the token uses
+ * one, so the project opens in a browser that never imported it.
+ *
+ * The library keeps projects in IndexedDB as
+ *   { id, name, updated, thumb, imageHash, project }
+ * where imageHash is the contentHash() of the source image (share.js), so
+ * share links can find it.
+ */
+
+const PROJECT_APP     = 'map-token-creator';
+const PROJECT_VERSION = 1;
+
+const LIBRARY_DB      = 'maptoken';
+const LIBRARY_STORE   = 'tokens';
+
+// ── Project files ──────────────────────────────────────────────────────────
+
+function buildProject({ name, image, settings, customFrame = null }) {
+  const project = { app: PROJECT_APP, version: PROJECT_VERSION, name, image, settings };
+  if (customFrame) project.customFrame = customFrame;
+  return project;
+}
+
+/** Parse and validate project JSON text. Throws with a readable message. */
+function parseProject(text) {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Project file is not valid JSON');
+  }
+  if (!project || project.app !== PROJECT_APP) {
+    throw new Error('Not a Map Token Creator project');
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error(`Project version ${project.version} is newer than this app supports`);
+  }
+  if (typeof project.image !== 'string' || !project.image.startsWith('data:image/')) {
+    throw new Error('Project has no embedded image');
+  }
+  return project;
+}
+
+// ── Library (IndexedDB) ────────────────────────────────────────────────────
+
+let libraryDb = null;
+
+function openLibrary() {
+  if (!libraryDb) {
+    libraryDb = new Promise((resolve, reject) => {
+      const req = indexedDB.open(LIBRARY_DB, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(LIBRARY_STORE, { keyPath: 'id' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+  }
+  return libraryDb;
+}
+
+/** Run one request against the token store and resolve with its result. */
+async function libraryRequest(mode, fn) {
+  const db = await openLibrary();
+  return new Promise((resolve, reject) => {
+    const req = fn(db.transaction(LIBRARY_STORE, mode).objectStore(LIBRARY_STORE));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+function libraryPut(record) {
+  return libraryRequest('readwrite', store => store.put(record));
+}
+
+function libraryGet(id) {
+  return libraryRequest('readonly', store => store.get(id));
+}
+
+function libraryDelete(id) {
+  return libraryRequest('readwrite', store => store.delete(id));
+}
+
+/** All library records, most recently saved first. */
+async function libraryList() {
+  const records = await libraryRequest('readonly', store => store.getAll());
+  return records.sort((a, b) => b.updated - a.updated);
+}
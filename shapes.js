@@ -0,0 +1,165 @@
+/**
+ * shapes.js — Token outline shapes shared by the image clip, the frame mask
+ * and the frame artwork.
+ *
+ * A shape is scaled by a single radius r: the half-extent of its bounding
+ * box, centred on (256, 256) in the 512×512 frame space. For the circle
+ * that is simply its radius, so CLIP_R = 232 and the 232–252 frame ring keep
+ * their meaning for every shape.
+ *
+ *   path(r)     → SVG path data for the outline at radius r
+ *   point(r, t) → [x, y, normal] at fraction t of the outline, running
+ *                 clockwise from 12 o'clock; normal is the outward normal
+ *                 angle in radians (for circles, the polar angle)
+ */
+
+// ── Circle ─────────────────────────────────────────────────────────────────
+
+const CIRCLE_SHAPE = {
+  id:    'circle',
+  label: 'Circle',
+  path(r) {
+    return `M256,${256 - r} A${r},${r} 0 1 1 256,${256 + r} A${r},${r} 0 1 1 256,${256 - r} Z`;
+  },
+  point(r, t) {
+    const a = t * 2 * Math.PI - Math.PI / 2;
+    return [256 + r * Math.cos(a), 256 + r * Math.sin(a), a];
+  },
+};
+
+// ── Polygons ───────────────────────────────────────────────────────────────
+
+/**
+ * Build a shape from an outline given as unit-space vertices, clockwise,
+ * starting at the point directly above the centre. Vertices are normalised so
+ * the largest |x| or |y| is 1.
+ */
+function polygonShape(id, label, verts) {
+  const extent = Math.max(...verts.map(([x, y]) => Math.max(Math.abs(x), Math.abs(y))));
+  const pts = verts.map(([x, y]) => [x / extent, y / extent]);
+
+  // Cumulative edge lengths for arc-length parameterisation
+  const cum = [0];
+  for (let i = 0; i < pts.length; i++) {
+    const [x0, y0] = pts[i];
+    const [x1, y1] = pts[(i + 1) % pts.length];
+    cum.push(cum[i] + Math.hypot(x1 - x0, y1 - y0));
+  }
+  const perimeter = cum[pts.length];
+
+  return {
+    id,
+    label,
+    path(r) {
+      return pts.map(([x, y], i) =>
+        `${i ? 'L' : 'M'}${(256 + x * r).toFixed(1)},${(256 + y * r).toFixed(1)}`
+      ).join(' ') + ' Z';
+    },
+    point(r, t) {
+      const d = (((t % 1) + 1) % 1) * perimeter;
+      let i = 0;
+      while (i < pts.length - 1 && cum[i + 1] < d) i++;
+      const [x0, y0] = pts[i];
+      const [x1, y1] = pts[(i + 1) % pts.length];
+      const f = (d - cum[i]) / (cum[i + 1] - cum[i] || 1);
+      return [
+        256 + (x0 + (x1 - x0) * f) * r,
+        256 + (y0 + (y1 - y0) * f) * r,
+        Math.atan2(y1 - y0, x1 - x0) - Math.PI / 2,
+      ];
+    },
+  };
+}
+
+/** Regular polygon vertices, clockwise from `startDeg` (0° = 3 o'clock). */
+function regularVerts(sides, startDeg) {
+  const verts = [];
+  for (let i = 0; i < sides; i++) {
+    const a = (startDeg + (i * 360) / sides) * Math.PI / 180;
+    verts.push([Math.cos(a), Math.sin(a)]);
+  }
+  return verts;
+}
+
+/** Rotate a closed vertex list so it starts on the top edge's midpoint (or top vertex). */
+function startAtTop(verts) {
+  const top = Math.min(...verts.map(v => v[1]));
+  const onTop = verts.map((v, i) => i).filter(i => Math.abs(verts[i][1] - top) < 1e-9);
+  if (onTop.length === 1) {
+    const i = onTop[0];
+    return [...verts.slice(i), ...verts.slice(0, i)];
+  }
+  // Flat top: insert the edge midpoint and start there
+  const [a, b] = onTop[0] === 0 && onTop[1] === verts.length - 1 ? [verts.length - 1, 0] : onTop;
+  const mid = [(verts[a][0] + verts[b][0]) / 2, top];
+  return [mid, ...verts.slice(b), ...verts.slice(0, b)];
+}
+
+/** Square with quarter-circle corners of `radius` (unit space), sampled as a polygon. */
+function roundedSquareVerts(radius, steps = 8) {
+  const verts = [];
+  const k = 1 - radius;
+  // corner centres clockwise from top-right
+  const corners = [[k, -k, -90], [k, k, 0], [-k, k, 90], [-k, -k, 180]];
+  for (const [cx, cy, a0] of corners) {
+    for (let i = 0; i <= steps; i++) {
+      const a = (a0 + (90 * i) / steps) * Math.PI / 180;
+      verts.push([cx + radius * Math.cos(a), cy + radius * Math.sin(a)]);
+    }
+  }
+  return startAtTop(verts);
+}
+
+// ── Custom masks ───────────────────────────────────────────────────────────
+
+const PROFILE_SAMPLES = 180;
+
+/**
+ * Sample the outline of the opaque region in an RGBA buffer of size×size.
+ * Returns, for each of PROFILE_SAMPLES angles clockwise from 12 o'clock, the
+ * distance from the centre to the outermost pixel with alpha ≥ 128 — in
+ * units of size/512, so the result is in frame space.
+ */
+function radialProfile(data, size) {
+  const half = size / 2;
+  const radii = [];
+  for (let k = 0; k < PROFILE_SAMPLES; k++) {
+    const a = (k / PROFILE_SAMPLES) * 2 * Math.PI - Math.PI / 2;
+    const dx = Math.cos(a), dy = Math.sin(a);
+    let last = 0;
+    for (let d = 0; d < half * Math.SQRT2; d++) {
+      const x = Math.round(half + dx * d), y = Math.round(half + dy * d);
+      if (x < 0 || y < 0 || x >= size || y >= size) break;
+      if (data[(y * size + x) * 4 + 3] >= 128) last = d;
+    }
+    radii.push(+(last * 512 / size).toFixed(1));
+  }
+  return radii;
+}
+
+const profileShapes = new WeakMap();
+
+/** Polygon shape tracing a radial profile (see radialProfile). Cached per profile array. */
+function profileShape(radii) {
+  let shape = profileShapes.get(radii);
+  if (!shape) {
+    const verts = radii.map((r, k) => {
+      const a = (k / radii.length) * 2 * Math.PI - Math.PI / 2;
+      return [r * Math.cos(a), r * Math.sin(a)];
+    });
+    shape = polygonShape('custom', 'Custom mask', verts);
+    profileShapes.set(radii, shape);
+  }
+  return shape;
+}
+
+// ── Registry ───────────────────────────────────────────────────────────────
+
+const SHAPES = [
+  CIRCLE_SHAPE,
+  polygonShape('square',     'Square',         startAtTop([[1, -1], [1, 1], [-1, 1], [-1, -1]])),
+  polygonShape('rounded',    'Rounded Square', roundedSquareVerts(0.25)),
+  polygonShape('hex-pointy', 'Hex (pointy)',   regularVerts(6, -90)),
+  polygonShape('hex-flat',   'Hex (flat)',     startAtTop(regularVerts(6, 0))),
+  polygonShape('octagon',    'Octagon',        startAtTop(regularVerts(8, 22.5))),
+];
@@ -0,0 +1,172 @@
+/**
+ * share.js — Token settings in a shareable URL hash.
+ *
+ * A share link carries one hash parameter, `#token=`, holding base64url
+ * JSON:
+ *   { v, ...settings, view, image? }
+ * `settings` are a token's SETTING_KEYS as tokenSettings() in app.js stores
+ * them (frame by id), minus any that equal the defaults and the pixel
+ * placement (SHARE_VIEW_KEYS). That travels as `view` instead:
+ * [x, y, scale] normalized to the image size (see shareView),
+ * so it carries over to a copy of the image at another resolution. `image`
+ * is the SHA-256 of the source file, set for images in the local library:
+ * anyone with the same file in their library gets the identical token.
+ *
+ * Links are untrusted input, so decodeShare() keeps only values shaped like
+ * the defaults. Uploaded background textures and painted pop-out masks are
+ * too big for a link and are left out.
+ */
+
+const SHARE_PARAM   = 'token';
+const SHARE_VERSION = 1;
+const SHARE_DIGITS  = 6;   // decimals kept for view numbers
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Settings in canvas px, which mean nothing for an image of another size
+const SHARE_VIEW_KEYS = ['panX', 'panY', 'zoom'];
+
+// ── View ───────────────────────────────────────────────────────────────────
+
+function roundShare(v) {
+  return Math.round(v * 10 ** SHARE_DIGITS) / 10 ** SHARE_DIGITS;
+}
+
+/**
+ * A token's placement independent of its image's pixel size: the image
+ * centre's offset from the canvas centre in displayed image widths/heights,
+ * and the displayed longest side as a fraction of the canvas.
+ */
+function shareView(token) {
+  const w = token.image.width  * token.zoom;
+  const h = token.image.height * token.zoom;
+  const [cx, cy] = imageCenter(token);
+  return [(cx - CX) / w, (cy - CY) / h, Math.max(w, h) / SIZE].map(roundShare);
+}
+
+/** Place a token's image from a shareView() triple. */
+function applyShareView(token, [x, y, scale]) {
+  const zoom = scale * SIZE / Math.max(token.image.width, token.image.height);
+  const w = token.image.width  * zoom;
+  const h = token.image.height * zoom;
+  token.zoom = zoom;
+  token.panX = CX + x * w - w / 2;
+  token.panY = CY + y * h - h / 2;
+}
+
+// ── Encoding ───────────────────────────────────────────────────────────────
+
+function toBase64URL(text) {
+  let binary = '';
+  for (const byte of new TextEncoder().encode(text)) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64URL(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+/**
+ * The URL hash for { settings, view, image }. Settings equal to `defaults`
+ * (tokenSettings() of a new token) are left out to keep links short.
+ */
+function encodeShare({ settings, view = null, image = null }, defaults) {
+  const data = { v: SHARE_VERSION };
+  for (let [key, value] of Object.entries(settings)) {
+    if (SHARE_VIEW_KEYS.includes(key)) continue;
+    if (key === 'background' && value.texture === 'upload') {
+      value = { ...value, texture: DEFAULT_BACKGROUND.texture, upload: null };
+    }
+    if (key === 'popOut' && value.mask) value = { ...value, mask: null };
+    if (JSON.stringify(value) !== JSON.stringify(defaults[key])) data[key] = value;
+  }
+  if (view)  data.view  = view;
+  if (image) data.image = image;
+  return `#${SHARE_PARAM}=${toBase64URL(JSON.stringify(data))}`;
+}
+
+/**
+ * `value` if it is shaped like `def` — same type, hex colors still hex
+ * colors, objects checked key by key, lists (conditions) keeping only their
+ * string entries — else `def`. Null defaults take a hex color (palette
+ * slots) or PROFILE_SAMPLES numbers (a mask profile). Frame params are
+ * checked against their frame instead (see sanitizeFrameParams).
+ */
+function sanitizeSetting(value, def) {
+  if (def === null) {
+    const ok = value === null || HEX_COLOR.test(value) ||
+      (Array.isArray(value) && value.length === PROFILE_SAMPLES && value.every(Number.isFinite));
+    return ok ? value : null;
+  }
+  if (Array.isArray(def)) {
+    return Array.isArray(value) ? value.filter(v => typeof v === 'string') : def;
+  }
+  if (typeof def === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return def;
+    return Object.fromEntries(Object.keys(def).map(key => [key, key in value ? sanitizeSetting(value[key], def[key]) : def[key]]));
+  }
+  if (typeof value !== typeof def) return def;
+  if (typeof def === 'number' && !Number.isFinite(value)) return def;
+  if (typeof def === 'string' && HEX_COLOR.test(def) && !HEX_COLOR.test(value)) return def;
+  return value;
+}
+
+/**
+ * Frame params checked against the schema of the frame with id `frameId`:
+ * unknown keys dropped, ranges clamped to min–max and snapped to their
+ * step, toggles kept only as booleans. A frame this page lacks gets none.
+ */
+function sanitizeFrameParams(value, frameId) {
+  const frameIndex = frameIndexOf(frameId);
+  if (frameIndex < 0 || !value || typeof value !== 'object' || Array.isArray(value)) return {};
+  const params = {};
+  for (const def of frameSchema(frameIndex)) {
+    const v = value[def.key];
+    if (def.type === 'toggle' && typeof v === 'boolean') {
+      params[def.key] = v;
+    } else if (def.type === 'range' && Number.isFinite(v)) {
+      const snapped = def.min + Math.round((v - def.min) / def.step) * def.step;
+      params[def.key] = Math.min(def.max, Math.max(def.min, snapped));
+    }
+  }
+  return params;
+}
+
+/**
+ * Read a share link hash. Returns null when the hash has no token, else
+ * { settings, view, image } with every setting present (defaults filling
+ * the rest) and view / image null when the link has none.
+ * Throws with a readable message for a damaged or too-new link.
+ */
+function decodeShare(hash, defaults) {
+  const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(SHARE_PARAM);
+  if (!encoded) return null;
+
+  let data;
+  try {
+    data = JSON.parse(fromBase64URL(encoded));
+  } catch (e) {
+    throw new Error('This token link is damaged — it may have been cut off when it was copied');
+  }
+  if (!data || typeof data !== 'object') throw new Error('This token link is damaged');
+  if (data.v > SHARE_VERSION) throw new Error('This token link was made by a newer version of the app');
+
+  const settings = {};
+  for (const key of Object.keys(defaults)) {
+    settings[key] = key in data && !SHARE_VIEW_KEYS.includes(key) ? sanitizeSetting(data[key], defaults[key]) : defaults[key];
+  }
+  if ('frameParams' in settings) settings.frameParams = sanitizeFrameParams(data.frameParams, settings.frame);
+  const view  = Array.isArray(data.view) && data.view.length === 3 && data.view.every(Number.isFinite) && data.view[2] > 0
+    ? data.view : null;
+  const image = typeof data.image === 'string' && /^[0-9a-f]{64}$/.test(data.image) ? data.image : null;
+  return { settings, view, image };
+}
+
+// ── Content hash ───────────────────────────────────────────────────────────
+
+/** SHA-256 of a Blob's bytes as lowercase hex. */
+async function contentHash(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
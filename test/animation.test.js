@@ -0,0 +1,82 @@
+'use strict';
+
+const zlib   = require('zlib');
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers');
+
+const { buildApng, pngChunks } = load(['zip.js', 'animation.js'], ['buildApng', 'pngChunks'], { Blob });
+
+/** A w × h RGBA PNG filled with one color, with an sRGB chunk like canvas output. */
+function solidPng(w, h, [r, g, b, a]) {
+  const chunk = (type, data) => {
+    const head = Buffer.alloc(8);
+    head.writeUInt32BE(data.length);
+    head.write(type, 4, 'latin1');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(zlib.crc32(Buffer.concat([head.subarray(4), data])));
+    return Buffer.concat([head, data, crc]);
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(w, 0);
+  ihdr.writeUInt32BE(h, 4);
+  ihdr[8] = 8;   // bit depth
+  ihdr[9] = 6;   // RGBA
+  const row = Buffer.from([0, ...Array.from({ length: w }, () => [r, g, b, a]).flat()]);
+  return new Blob([Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    chunk('sRGB', Buffer.from([0])),
+    chunk('IDAT', zlib.deflateSync(Buffer.concat(Array(h).fill(row)))),
+    chunk('IEND', Buffer.alloc(0)),
+  ])]);
+}
+
+/** Every chunk of the file with its stored CRC checked. */
+async function readChunks(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view  = Buffer.from(bytes);
+  const chunks = [];
+  for (let at = 8; at < bytes.length;) {
+    const length = view.readUInt32BE(at);
+    const type   = view.toString('latin1', at + 4, at + 8);
+    const data   = view.subarray(at + 8, at + 8 + length);
+    assert.equal(view.readUInt32BE(at + 8 + length), zlib.crc32(view.subarray(at + 4, at + 8 + length)), `${type}: bad CRC`);
+    chunks.push({ type, data });
+    at += 12 + length;
+  }
+  return chunks;
+}
+
+const COLORS = [[255, 0, 0, 255], [0, 255, 0, 128], [0, 0, 255, 0]];
+
+test('frames become a looping APNG with numbered chunks in order', async () => {
+  const pngs   = COLORS.map(color => solidPng(3, 2, color));
+  const chunks = await readChunks(await buildApng(pngs, 125));
+
+  assert.deepEqual(chunks.map(c => c.type), ['IHDR', 'acTL', 'sRGB', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'fcTL', 'fdAT', 'IEND']);
+  const actl = chunks[1].data;
+  assert.equal(actl.readUInt32BE(0), COLORS.length);
+  assert.equal(actl.readUInt32BE(4), 0, 'loops forever');
+
+  // Sequence numbers run across fcTL and fdAT from 0 without gaps
+  const numbered = chunks.filter(c => c.type === 'fcTL' || c.type === 'fdAT');
+  assert.deepEqual(numbered.map(c => c.data.readUInt32BE(0)), numbered.map((c, i) => i));
+
+  for (const fctl of chunks.filter(c => c.type === 'fcTL')) {
+    assert.equal(fctl.data.readUInt32BE(4), 3);
+    assert.equal(fctl.data.readUInt32BE(8), 2);
+    assert.equal(fctl.data.readUInt16BE(20) / fctl.data.readUInt16BE(22), 0.125, 'delay in seconds');
+  }
+
+  // Each frame carries its own pixels
+  const pixels = [chunks[4].data, ...chunks.filter(c => c.type === 'fdAT').map(c => c.data.subarray(4))]
+    .map(data => [...zlib.inflateSync(data).subarray(1, 5)]);
+  assert.deepEqual(pixels, COLORS);
+});
+
+test('frames of different sizes are refused', async () => {
+  await assert.rejects(buildApng([solidPng(3, 2, COLORS[0]), solidPng(2, 3, COLORS[0])], 100), /differ in size/);
+  await assert.rejects(buildApng([], 100), /at least one frame/);
+  assert.throws(() => pngChunks(new Uint8Array(16)), /Not a PNG/);
+});
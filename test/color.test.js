@@ -0,0 +1,109 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { load, forAll, between } = require('./helpers');
+
+const { hexToHSL, hslToHex, toneVariants } = load(['frames.js'], ['hexToHSL', 'hslToHex', 'toneVariants']);
+
+const HEX = /^#[0-9a-f]{6}$/;
+
+// hexToHSL rounds to whole degrees and percents; over all 16.7M colors that
+// moves a channel by at most 5 of 255 on the way back
+const CHANNEL_TOLERANCE = 5;
+
+function randomHex(rand) {
+  return '#' + Math.floor(rand() * 0x1000000).toString(16).padStart(6, '0');
+}
+
+function channels(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/** Chroma of an HSL color, 0–255: how much color there is for the hue to describe. */
+function chroma(s, l) {
+  return 255 * (s / 100) * (1 - Math.abs(2 * l / 100 - 1));
+}
+
+function hueDistance(a, b) {
+  const d = Math.abs(a - b) % 360;
+  return Math.min(d, 360 - d);
+}
+
+test('hex → HSL → hex comes back within rounding', () => {
+  forAll(2000, rand => {
+    const hex  = randomHex(rand);
+    const back = hslToHex(...hexToHSL(hex));
+    assert.match(back, HEX);
+    const a = channels(hex), b = channels(back);
+    for (let i = 0; i < 3; i++) {
+      assert.ok(Math.abs(a[i] - b[i]) <= CHANNEL_TOLERANCE, `${hex} came back as ${back}`);
+    }
+  });
+});
+
+test('hexToHSL returns whole numbers in range', () => {
+  forAll(1000, rand => {
+    const [h, s, l] = hexToHSL(randomHex(rand));
+    assert.ok(Number.isInteger(h) && h >= 0 && h <= 360, `hue ${h}`);
+    assert.ok(Number.isInteger(s) && s >= 0 && s <= 100, `saturation ${s}`);
+    assert.ok(Number.isInteger(l) && l >= 0 && l <= 100, `lightness ${l}`);
+  });
+});
+
+test('grays and the extremes convert exactly', () => {
+  for (const hex of ['#000000', '#ffffff', '#808080', '#ff0000', '#00ff00', '#0000ff']) {
+    assert.equal(hslToHex(...hexToHSL(hex)), hex);
+  }
+  assert.deepEqual([...hexToHSL('#808080')].slice(0, 2), [0, 0]);
+});
+
+test('HSL → hex → HSL keeps lightness, and hue where there is color to carry it', () => {
+  forAll(2000, rand => {
+    const h = Math.floor(between(rand, 0, 360));
+    const s = Math.floor(between(rand, 0, 101));
+    const l = Math.floor(between(rand, 0, 101));
+    const [h2, s2, l2] = hexToHSL(hslToHex(h, s, l));
+
+    assert.equal(l2, l, `lightness of hsl(${h}, ${s}, ${l})`);
+    // Hue is only defined once the color has some chroma
+    if (chroma(s, l) >= 40) assert.ok(hueDistance(h, h2) <= 1, `hue of hsl(${h}, ${s}, ${l}) came back as ${h2}`);
+    // …and saturation away from black and white
+    if (l >= 5 && l <= 95) assert.ok(Math.abs(s - s2) <= 4, `saturation of hsl(${h}, ${s}, ${l}) came back as ${s2}`);
+  });
+});
+
+test('toneVariants gives valid hex colors ordered dark to light', () => {
+  forAll(2000, rand => {
+    const hex   = randomHex(rand);
+    const tones = toneVariants(hex);
+    for (const key of ['base', 'light', 'dark', 'vdark', 'shine']) assert.match(tones[key], HEX, `${key} of ${hex}`);
+
+    const l = key => hexToHSL(tones[key])[2];
+    assert.ok(l('vdark') <= l('dark'),  `vdark is lighter than dark for ${hex}`);
+    assert.ok(l('dark')  <  l('light'), `dark is not darker than light for ${hex}`);
+    assert.ok(l('light') <= l('shine'), `shine is darker than light for ${hex}`);
+
+    // Mid tones get five distinct steps around the base
+    const base = hexToHSL(hex)[2];
+    if (base >= 30 && base <= 70) {
+      assert.ok(l('vdark') < l('dark') && l('dark') < l('base') && l('base') < l('light') && l('light') < l('shine'),
+        `tones of ${hex} are not strictly ordered`);
+    }
+  });
+});
+
+test('toneVariants keeps the base color and its hue', () => {
+  forAll(1000, rand => {
+    const hex   = randomHex(rand);
+    const tones = toneVariants(hex);
+    assert.equal(tones.base, hslToHex(...hexToHSL(hex)));
+
+    const [h, s, l] = hexToHSL(hex);
+    if (chroma(s, l) < 40) return;
+    for (const key of ['light', 'dark', 'vdark', 'shine']) {
+      const [th, ts, tl] = hexToHSL(tones[key]);
+      if (chroma(ts, tl) >= 40) assert.ok(hueDistance(th, h) <= 2, `${key} of ${hex} changed hue`);
+    }
+  });
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { load, checkWellFormed } = require('./helpers');
+const { CORE_SCRIPTS } = require('../node/headless');
+
+const { SIZE, SHAPES, CONDITIONS, createToken, tokenConditionsSvg } = load(CORE_SCRIPTS, [
+  'SIZE', 'SHAPES', 'CONDITIONS', 'createToken', 'tokenConditionsSvg',
+]);
+
+const ALL = CONDITIONS.map(c => c.id);
+
+test('no conditions draw no layer', () => {
+  assert.equal(tokenConditionsSvg(createToken()), null);
+  assert.equal(tokenConditionsSvg(createToken({ conditions: ['no-such-condition'] })), null);
+});
+
+test('the layer is well-formed 512×512 SVG for every condition, alone and together, on every shape', () => {
+  for (const shape of SHAPES) {
+    for (const conditions of [...ALL.map(id => [id]), ALL]) {
+      let root;
+      try {
+        root = checkWellFormed(tokenConditionsSvg(createToken({ shape: shape.id, conditions })));
+      } catch (e) {
+        throw new Error(`${shape.id}, ${conditions.join(' + ')}: ${e.message}`);
+      }
+      assert.equal(root.attrs.xmlns, 'http://www.w3.org/2000/svg');
+      assert.equal(root.attrs.width, String(SIZE));
+      assert.equal(root.attrs.height, String(SIZE));
+    }
+  }
+});
+
+test('unknown ids are ignored and the order they were set in does not matter', () => {
+  const known = tokenConditionsSvg(createToken({ conditions: ['stunned', 'poisoned'] }));
+  assert.equal(tokenConditionsSvg(createToken({ conditions: ['stunned', 'bogus', 'poisoned'] })), known);
+  assert.equal(tokenConditionsSvg(createToken({ conditions: ['poisoned', 'stunned'] })), known);
+});
+
+test('every condition draws something of its own color', () => {
+  for (const condition of CONDITIONS) {
+    const svg = tokenConditionsSvg(createToken({ conditions: [condition.id] }));
+    assert.ok(svg.includes(condition.color), `${condition.id} does not use ${condition.color}`);
+  }
+});
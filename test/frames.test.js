@@ -0,0 +1,161 @@
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { load, checkWellFormed } = require('./helpers');
+const { CORE_SCRIPTS, requireCanvas } = require('../node/headless');
+
+const {
+  SIZE, FRAMES, SHAPES, PALETTE_PRESETS, AUTO_PALETTE, CREATURE_SIZES,
+  createToken, frameSvg, frameSchema, ringInnerR, withDefaults, tokenClip, tokenSquares, tokenAnimated,
+} = load(CORE_SCRIPTS, [
+  'SIZE', 'FRAMES', 'SHAPES', 'PALETTE_PRESETS', 'AUTO_PALETTE', 'CREATURE_SIZES',
+  'createToken', 'frameSvg', 'frameSchema', 'ringInnerR', 'withDefaults', 'tokenClip', 'tokenSquares', 'tokenAnimated',
+]);
+
+const SNAPSHOT_DIR = path.join(__dirname, 'snapshots');
+const UPDATE       = !!process.env.UPDATE_SNAPSHOTS;
+
+// Antialiasing of the inner edge may reach this far into the clip (px)
+const EDGE_MARGIN = 1.5;
+
+let canvasLib = null;
+try {
+  canvasLib = requireCanvas();
+} catch (e) {
+  // The rasterizing checks below report themselves skipped
+}
+
+// ── XML well-formedness ────────────────────────────────────────────────────
+
+test('the well-formedness check rejects broken markup', () => {
+  for (const bad of ['<svg><g></svg>', '<svg a="1" a="2"/>', '<svg>&nbsp;</svg>', '<svg/><svg/>', '<svg x=1/>', '<svg>']) {
+    assert.throws(() => checkWellFormed(bad), undefined, bad);
+  }
+  assert.equal(checkWellFormed('<svg a="&amp;"><!-- c --><g/>&#215;</svg>').name, 'svg');
+});
+
+// ── Frame variants ─────────────────────────────────────────────────────────
+
+/** Params at their defaults, all minimums and all maximums, for one frame. */
+function paramVariants(frameIndex) {
+  const schema = frameSchema(frameIndex);
+  const pick = (range, toggle) => Object.fromEntries(schema.map(def =>
+    [def.key, def.type === 'toggle' ? toggle : def[range]]));
+  return [
+    { name: 'defaults', params: {} },
+    { name: 'minimums', params: pick('min', true) },
+    { name: 'maximums', params: pick('max', false) },
+  ];
+}
+
+/** Image clip radius for a frame's params (ring width → inner edge). */
+function innerR(frameIndex, params) {
+  return ringInnerR(withDefaults(frameSchema(frameIndex), params).ring);
+}
+
+// ── Per-frame tests ────────────────────────────────────────────────────────
+
+FRAMES.forEach((frame, frameIndex) => {
+  test(`frame "${frame.id}"`, async t => {
+    await t.test('matches its snapshot', () => {
+      const svg  = frameSvg(createToken({ frameIndex }));
+      const file = path.join(SNAPSHOT_DIR, `${frame.id}.svg`);
+      if (UPDATE) {
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        fs.writeFileSync(file, svg);
+        return;
+      }
+      assert.ok(fs.existsSync(file), `No snapshot for ${frame.id}; rerun with UPDATE_SNAPSHOTS=1 to create it`);
+      assert.equal(svg, fs.readFileSync(file, 'utf8'),
+        `SVG for ${frame.id} changed; rerun with UPDATE_SNAPSHOTS=1 if that was intended`);
+    });
+
+    await t.test('is well-formed 512×512 SVG for every shape, param extreme and palette', () => {
+      const palettes = [AUTO_PALETTE, ...PALETTE_PRESETS.map(p => ({ ...AUTO_PALETTE, ...p.slots }))];
+      for (const shape of SHAPES) {
+        for (const { name, params } of paramVariants(frameIndex)) {
+          palettes.forEach((palette, p) => {
+            const token = createToken({ frameIndex, shape: shape.id, frameParams: params, palette, color: p % 2 ? '#3a6ea5' : '#c0922a' });
+            let root;
+            try {
+              root = checkWellFormed(frameSvg(token));
+            } catch (e) {
+              throw new Error(`${shape.id}, ${name} params, palette ${p}: ${e.message}`);
+            }
+            assert.equal(root.name, 'svg');
+            assert.equal(root.attrs.xmlns, 'http://www.w3.org/2000/svg');
+            assert.equal(root.attrs.width, String(SIZE));
+            assert.equal(root.attrs.height, String(SIZE));
+          });
+        }
+      }
+    });
+
+    await t.test('keeps the image area inside the ring transparent', { skip: !canvasLib && 'no canvas package installed' }, async () => {
+      const c = canvasLib.createCanvas(SIZE, SIZE).getContext('2d');
+      for (const shape of SHAPES) {
+        for (const { name, params } of paramVariants(frameIndex)) {
+          const r   = innerR(frameIndex, params);
+          const svg = frameSvg(createToken({ frameIndex, shape: shape.id, frameParams: params }));
+          const img = await canvasLib.loadImage(Buffer.from(svg));
+
+          c.globalCompositeOperation = 'source-over';
+          c.clearRect(0, 0, SIZE, SIZE);
+          c.drawImage(img, 0, 0, SIZE, SIZE);
+          const drawn = countOpaque(c);
+          assert.ok(drawn > 0, `${shape.id}, ${name} params: nothing was drawn`);
+
+          // Keep only what the frame painted inside the clip outline
+          c.globalCompositeOperation = 'destination-in';
+          c.fill(new canvasLib.Path2D(shape.path(r - EDGE_MARGIN)));
+          const inside = countOpaque(c);
+          assert.equal(inside, 0, `${shape.id}, ${name} params: ${inside} px painted inside r = ${r}`);
+        }
+      }
+    });
+
+    await t.test('loops seamlessly: each animated param moves it, and phase 1 draws as phase 0', () => {
+      assert.equal(tokenAnimated(createToken({ frameIndex })), false, 'animated at its defaults');
+      for (const def of frameSchema(frameIndex).filter(d => d.animated)) {
+        const token = createToken({ frameIndex, frameParams: { [def.key]: def.type === 'toggle' ? true : def.max } });
+        const at    = phase => frameSvg(token, frameIndex, phase);
+        assert.ok(tokenAnimated(token), `${def.key}: not animated`);
+        assert.equal(at(1), at(0), `${def.key}: phase 1 differs from phase 0`);
+        assert.notEqual(at(0.25), at(0), `${def.key}: nothing moves`);
+        for (const phase of [0.1, 0.25, 0.5, 0.9]) checkWellFormed(at(phase));
+      }
+    });
+
+    await t.test('keeps a one-square ring width and a transparent inside at every creature size', async () => {
+      for (const size of CREATURE_SIZES) {
+        for (const shape of [SHAPES[0], SHAPES[4]]) {
+          const token = createToken({ frameIndex, shape: shape.id, creatureSize: size.id });
+          const root  = checkWellFormed(frameSvg(token));
+          assert.equal(root.attrs.viewBox, `0 0 ${SIZE * size.squares} ${SIZE * size.squares}`);
+          // Ring width in output px per grid square is the same as for Medium
+          const { r } = tokenClip(token);
+          assert.ok(Math.abs((SIZE / 2 - r) * tokenSquares(token) - (SIZE / 2 - innerR(frameIndex, {}))) < 1e-9, `${size.id}: clip r = ${r}`);
+          if (!canvasLib) continue;
+
+          const c = canvasLib.createCanvas(SIZE, SIZE).getContext('2d');
+          c.drawImage(await canvasLib.loadImage(Buffer.from(frameSvg(token))), 0, 0, SIZE, SIZE);
+          assert.ok(countOpaque(c) > 0, `${size.id}, ${shape.id}: nothing was drawn`);
+          c.globalCompositeOperation = 'destination-in';
+          c.fill(new canvasLib.Path2D(shape.path(r - EDGE_MARGIN)));
+          assert.equal(countOpaque(c), 0, `${size.id}, ${shape.id}: painted inside r = ${r}`);
+        }
+      }
+    });
+  });
+});
+
+/** Pixels with any opacity on the canvas. */
+function countOpaque(c) {
+  const { data } = c.getImageData(0, 0, SIZE, SIZE);
+  let n = 0;
+  for (let i = 3; i < data.length; i += 4) if (data[i]) n++;
+  return n;
+}
@@ -0,0 +1,200 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { load, forAll, between } = require('./helpers');
+
+const {
+  SIZE, HANDLE_R, HANDLE_HIT, MIN_ZOOM,
+  imageCenter, imageOffset, imageCorners, canvasToImage, clampHandle, handleAt,
+  startResize, applyResize, zoomAt, normalizeAngle,
+} = load(['geometry.js'], [
+  'SIZE', 'HANDLE_R', 'HANDLE_HIT', 'MIN_ZOOM',
+  'imageCenter', 'imageOffset', 'imageCorners', 'canvasToImage', 'clampHandle', 'handleAt',
+  'startResize', 'applyResize', 'zoomAt', 'normalizeAngle',
+]);
+
+const EPS = 1e-6;
+
+/** A randomly placed, sized, rotated and flipped token image. */
+function randomToken(rand) {
+  return {
+    image:    { width: Math.round(between(rand, 16, 4000)), height: Math.round(between(rand, 16, 4000)) },
+    panX:     between(rand, -600, 600),
+    panY:     between(rand, -600, 600),
+    zoom:     between(rand, 0.05, 3),
+    rotation: rand() < 0.3 ? [0, 90, -90, 180][Math.floor(rand() * 4)] : between(rand, -180, 180),
+    flipX:    rand() < 0.5,
+    flipY:    rand() < 0.5,
+  };
+}
+
+function assertNear(actual, expected, message, eps = EPS) {
+  const scale = Math.max(1, Math.abs(expected));
+  assert.ok(Math.abs(actual - expected) <= eps * scale, `${message}: ${actual} ≠ ${expected}`);
+}
+
+function assertPointNear([x, y], [ex, ey], message, eps) {
+  assertNear(x, ex, `${message} x`, eps);
+  assertNear(y, ey, `${message} y`, eps);
+}
+
+/** Where a point on the image (see canvasToImage) is on the canvas now. */
+function imageToCanvasPx(token, [ux, uy]) {
+  const [ox, oy] = imageOffset(token, ux * token.zoom, uy * token.zoom);
+  const [cx, cy] = imageCenter(token);
+  return [cx + ox, cy + oy];
+}
+
+// ── Resize ─────────────────────────────────────────────────────────────────
+
+test('the fixed corner never moves during a resize', () => {
+  forAll(300, rand => {
+    const token  = randomToken(rand);
+    const corner = Math.floor(rand() * 4);
+    // Grab the handle where it is drawn, which may be clamped away from the corner
+    const [mx, my] = clampHandle(...imageCorners(token)[corner]);
+    startResize(token, corner, mx, my);
+    const fixed = token.resizeFixedCorner;
+
+    for (let step = 0; step < 20; step++) {
+      applyResize(token, between(rand, -200, SIZE + 200), between(rand, -200, SIZE + 200));
+      assertPointNear(imageCorners(token)[3 - corner], fixed, `fixed corner after step ${step}`, 1e-9);
+      assert.ok(token.zoom >= MIN_ZOOM, `zoom ${token.zoom} below MIN_ZOOM`);
+    }
+  });
+});
+
+test('a resize does not jump when the drag has not moved yet', () => {
+  forAll(200, rand => {
+    const token = randomToken(rand);
+    const before = { panX: token.panX, panY: token.panY, zoom: token.zoom };
+    const corner = Math.floor(rand() * 4);
+    const [mx, my] = clampHandle(...imageCorners(token)[corner]);
+    startResize(token, corner, mx, my);
+    applyResize(token, mx, my);
+    assertNear(token.zoom, before.zoom, 'zoom');
+    assertNear(token.panX, before.panX, 'panX');
+    assertNear(token.panY, before.panY, 'panY');
+  });
+});
+
+test('a resize keeps the image aspect ratio and scales with the diagonal', () => {
+  forAll(200, rand => {
+    const token  = randomToken(rand);
+    const corner = Math.floor(rand() * 4);
+    const [ax, ay] = imageCorners(token)[corner];
+    startResize(token, corner, ax, ay);
+    const [fx, fy] = token.resizeFixedCorner;
+
+    // Drag the corner along the diagonal, away from or towards the fixed corner
+    const k = between(rand, 0.2, 3);
+    applyResize(token, fx + (ax - fx) * k, fy + (ay - fy) * k);
+    if (token.zoom === MIN_ZOOM) return;
+    assertNear(token.zoom, token.resizeStartZoom * k, 'zoom');
+    assertPointNear(imageCorners(token)[corner], [fx + (ax - fx) * k, fy + (ay - fy) * k], 'dragged corner', 1e-9);
+  });
+});
+
+// ── Zoom about a point ─────────────────────────────────────────────────────
+
+test('zooming about a point keeps that point stationary', () => {
+  forAll(300, rand => {
+    const token = randomToken(rand);
+    // Wheel steps, pinch ratios and the odd extreme factor
+    const factor = [1.08, 0.93, between(rand, 0.5, 2), between(rand, 0.01, 20)][Math.floor(rand() * 4)];
+    const point  = [between(rand, 0, SIZE), between(rand, 0, SIZE)];
+    const onImage = canvasToImage(token, ...point);
+
+    zoomAt(token, ...point, factor);
+    assertPointNear(imageToCanvasPx(token, onImage), point, 'zoom point', 1e-9);
+    assert.ok(token.zoom >= MIN_ZOOM, `zoom ${token.zoom} below MIN_ZOOM`);
+  });
+});
+
+test('zooming in and back out about the same point restores the placement', () => {
+  forAll(200, rand => {
+    const token = randomToken(rand);
+    token.zoom  = between(rand, 0.5, 3);
+    const before = { panX: token.panX, panY: token.panY, zoom: token.zoom };
+    const point  = [between(rand, 0, SIZE), between(rand, 0, SIZE)];
+    const factor = between(rand, 0.5, 2);
+
+    zoomAt(token, ...point, factor);
+    zoomAt(token, ...point, 1 / factor);
+    assertNear(token.zoom, before.zoom, 'zoom');
+    assertNear(token.panX, before.panX, 'panX');
+    assertNear(token.panY, before.panY, 'panY');
+  });
+});
+
+test('zoom never goes below MIN_ZOOM', () => {
+  const token = { image: { width: 100, height: 100 }, panX: 0, panY: 0, zoom: 0.1, rotation: 0, flipX: false, flipY: false };
+  zoomAt(token, 256, 256, 0.01);
+  assert.equal(token.zoom, MIN_ZOOM);
+});
+
+// ── Handles ────────────────────────────────────────────────────────────────
+
+test('clamped handles stay on the canvas and clamping is idempotent', () => {
+  const pad = HANDLE_R + 2;
+  forAll(500, rand => {
+    const point   = [between(rand, -2000, 2000), between(rand, -2000, 2000)];
+    const clamped = clampHandle(...point);
+    for (const v of clamped) assert.ok(v >= pad && v <= SIZE - pad, `${v} off the canvas`);
+    assert.deepEqual([...clampHandle(...clamped)], [...clamped]);
+
+    const inside = [between(rand, pad, SIZE - pad), between(rand, pad, SIZE - pad)];
+    assert.deepEqual([...clampHandle(...inside)], inside);
+  });
+});
+
+test('hit-testing finds the corner whose handle was clicked', () => {
+  forAll(300, rand => {
+    const token   = randomToken(rand);
+    const corners = imageCorners(token);
+    const corner  = Math.floor(rand() * 4);
+    const [hx, hy] = clampHandle(...corners[corner]);
+
+    // Anywhere within HANDLE_HIT of the drawn handle hits it, or an earlier
+    // corner whose handle overlaps it (clamped handles can coincide)
+    const a = between(rand, 0, 2 * Math.PI), d = between(rand, 0, HANDLE_HIT);
+    const mx = hx + d * Math.cos(a), my = hy + d * Math.sin(a);
+    const hit = handleAt(corners, mx, my);
+    assert.ok(hit !== -1 && hit <= corner, `expected corner ≤ ${corner}, got ${hit}`);
+
+    // Nothing is hit away from every handle
+    const far = [between(rand, -100, SIZE + 100), between(rand, -100, SIZE + 100)];
+    const near = corners.some(c => {
+      const [x, y] = clampHandle(...c);
+      return Math.hypot(far[0] - x, far[1] - y) <= HANDLE_HIT;
+    });
+    if (!near) assert.equal(handleAt(corners, ...far), -1);
+  });
+});
+
+test('imageCorners is empty without an image', () => {
+  assert.equal(imageCorners({ image: null }).length, 0);
+});
+
+test('canvasToImage undoes the image transform', () => {
+  forAll(300, rand => {
+    const token = randomToken(rand);
+    const point = [between(rand, -SIZE, 2 * SIZE), between(rand, -SIZE, 2 * SIZE)];
+    assertPointNear(imageToCanvasPx(token, canvasToImage(token, ...point)), point, 'round trip', 1e-9);
+  });
+});
+
+// ── Angles ─────────────────────────────────────────────────────────────────
+
+test('normalizeAngle wraps into (-180, 180] without changing the direction', () => {
+  forAll(500, rand => {
+    const deg = between(rand, -5000, 5000);
+    const a   = normalizeAngle(deg);
+    assert.ok(a > -180 && a <= 180, `${a} out of range`);
+    const turns = (deg - a) / 360;
+    assertNear(turns, Math.round(turns), 'whole turns', 1e-9);
+  });
+  assert.equal(normalizeAngle(-180), 180);
+  assert.equal(normalizeAngle(540), 180);
+});
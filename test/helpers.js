@@ -0,0 +1,124 @@
+/**
+ * helpers.js — Shared setup for the Node tests.
+ *
+ *   node --test              run everything in test/
+ *   UPDATE_SNAPSHOTS=1 node --test   rewrite test/snapshots/ after a deliberate frame change or a new frame
+ *   PROPERTY_SEED=123 node --test    rerun the property checks from another seed
+ *
+ * The page scripts are loaded into a vm context the same way node/headless.js
+ * does it, so the code under test is exactly what the page runs. The frame
+ * transparency checks also need a canvas package (see requireCanvas) and are
+ * skipped without one.
+ */
+
+'use strict';
+
+const vm = require('vm');
+const { loadScripts } = require('../node/headless');
+
+const PROPERTY_SEED = parseInt(process.env.PROPERTY_SEED) || 20240601;
+
+/**
+ * Load page scripts (in load order) and return the named top-level bindings.
+ * Arrays and objects they create come from the vm context, so strict deep
+ * equality with ones made here fails on the prototype — spread them first.
+ */
+function load(files, names, globals) {
+  return vm.runInContext(`({ ${names.join(', ')} })`, loadScripts(files, globals));
+}
+
+const { seededRandom } = load(['background.js'], ['seededRandom']);
+
+/**
+ * Run check(rand, i) for `count` trials, each with its own seeded random()
+ * so a failure names the seed that reproduces it.
+ */
+function forAll(count, check) {
+  for (let i = 0; i < count; i++) {
+    const seed = PROPERTY_SEED + i;
+    try {
+      check(seededRandom(seed), i);
+    } catch (e) {
+      e.message += ` (trial ${i}, PROPERTY_SEED=${PROPERTY_SEED}, seed ${seed})`;
+      throw e;
+    }
+  }
+}
+
+/** Uniform random number in [min, max). */
+function between(rand, min, max) {
+  return min + rand() * (max - min);
+}
+
+// ── XML well-formedness ────────────────────────────────────────────────────
+
+const NAME   = '[A-Za-z_][\\w:.-]*';
+const ENTITY = /&(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);/y;
+const OPEN   = new RegExp(`<(${NAME})((?:\\s+${NAME}\\s*=\\s*(?:"[^"<]*"|'[^'<]*'))*)\\s*(/?)>`, 'y');
+const CLOSE  = new RegExp(`</(${NAME})\\s*>`, 'y');
+const ATTR   = new RegExp(`(${NAME})\\s*=\\s*(?:"([^"<]*)"|'([^'<]*)')`, 'g');
+
+/** Every & in text or an attribute value must start a known entity. */
+function checkEntities(text, where) {
+  for (let i = text.indexOf('&'); i !== -1; i = text.indexOf('&', i + 1)) {
+    ENTITY.lastIndex = i;
+    if (!ENTITY.test(text)) throw new Error(`bare & ${where}: …${text.slice(i, i + 20)}…`);
+  }
+}
+
+/**
+ * Parse just enough XML to prove it well-formed: one root element, tags
+ * properly nested and closed, attributes quoted and unique, entities valid.
+ * Returns the root element as { name, attrs }.
+ */
+function checkWellFormed(xml) {
+  const stack = [];
+  let root = null;
+  let i = 0;
+  while (i < xml.length) {
+    const lt = xml.indexOf('<', i);
+    const text = xml.slice(i, lt === -1 ? xml.length : lt);
+    if (!stack.length && text.trim()) throw new Error(`text outside the root element: ${text.trim().slice(0, 40)}`);
+    checkEntities(text, 'in text');
+    if (lt === -1) break;
+    i = lt;
+
+    if (xml.startsWith('<!--', i)) {
+      const end = xml.indexOf('-->', i + 4);
+      if (end === -1) throw new Error('unterminated comment');
+      i = end + 3;
+      continue;
+    }
+
+    CLOSE.lastIndex = i;
+    const close = CLOSE.exec(xml);
+    if (close) {
+      const open = stack.pop();
+      if (open !== close[1]) throw new Error(`</${close[1]}> closes <${open}> at offset ${i}`);
+      i = CLOSE.lastIndex;
+      continue;
+    }
+
+    OPEN.lastIndex = i;
+    const open = OPEN.exec(xml);
+    if (!open) throw new Error(`malformed tag at offset ${i}: ${xml.slice(i, i + 40)}`);
+    const [, name, attrText, selfClosing] = open;
+    const attrs = {};
+    for (const [, key, dq, sq] of attrText.matchAll(ATTR)) {
+      if (key in attrs) throw new Error(`duplicate attribute ${key} on <${name}>`);
+      attrs[key] = dq ?? sq;
+      checkEntities(attrs[key], `in ${name}@${key}`);
+    }
+    if (!stack.length) {
+      if (root) throw new Error(`second root element <${name}>`);
+      root = { name, attrs };
+    }
+    if (!selfClosing) stack.push(name);
+    i = OPEN.lastIndex;
+  }
+  if (stack.length) throw new Error(`unclosed <${stack.pop()}>`);
+  if (!root) throw new Error('no root element');
+  return root;
+}
+
+module.exports = { load, forAll, between, checkWellFormed };
@@ -0,0 +1,73 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { load, forAll, between } = require('./helpers');
+const { CORE_SCRIPTS, createRenderer, requireCanvas } = require('../node/headless');
+
+const { POP_OUT_MASK_MAX, POP_OUT_LINE, popOutMaskSize, popOutMaskPoint, imageToCanvas } = load(CORE_SCRIPTS, [
+  'POP_OUT_MASK_MAX', 'POP_OUT_LINE', 'popOutMaskSize', 'popOutMaskPoint', 'imageToCanvas',
+]);
+
+let canvasLib = null;
+try {
+  canvasLib = requireCanvas();
+} catch (e) {
+  // The rendering check below reports itself skipped
+}
+
+test('masks keep the image aspect ratio and stay within POP_OUT_MASK_MAX', () => {
+  assert.deepEqual([...popOutMaskSize({ width: 300, height: 200 })], [300, 200]);
+  assert.deepEqual([...popOutMaskSize({ width: 4000, height: 1000 })], [POP_OUT_MASK_MAX, POP_OUT_MASK_MAX / 4]);
+  assert.deepEqual([...popOutMaskSize({ width: 10, height: 8000 })], [1, POP_OUT_MASK_MAX]);
+});
+
+test('a brush dab lands on the same spot of the mask however the image is placed', () => {
+  forAll(300, rand => {
+    const token = {
+      image:    { width: Math.round(between(rand, 16, 4000)), height: Math.round(between(rand, 16, 4000)) },
+      panX:     between(rand, -600, 600),
+      panY:     between(rand, -600, 600),
+      zoom:     between(rand, 0.05, 3),
+      rotation: between(rand, -180, 180),
+      flipX:    rand() < 0.5,
+      flipY:    rand() < 0.5,
+    };
+    const { width: w, height: h } = token.image;
+    const [mw, mh] = popOutMaskSize(token.image);
+    const [ix, iy] = [between(rand, 0, w), between(rand, 0, h)];
+    const [x, y]   = imageToCanvas(token, (ix - w / 2) * token.zoom, (iy - h / 2) * token.zoom);
+
+    const [mx, my, r] = popOutMaskPoint(token, x, y, 10);
+    assert.ok(Math.abs(mx - ix * mw / w) < 1e-6 && Math.abs(my - iy * mh / h) < 1e-6, `(${mx}, ${my})`);
+    assert.ok(Math.abs(r - 10 / token.zoom * mw / w) < 1e-9, `radius ${r}`);
+  });
+});
+
+test('the pop-out covers the frame above the line only, where the mask allows', { skip: !canvasLib && 'no canvas package installed' }, async () => {
+  const mt = createRenderer(canvasLib);
+  const image = canvasLib.createCanvas(mt.SIZE, mt.SIZE);
+  const ic = image.getContext('2d');
+  ic.fillStyle = '#ff0000';
+  ic.fillRect(0, 0, mt.SIZE, mt.SIZE);
+
+  const pixel = (canvas, x, y) => [...canvas.getContext('2d').getImageData(x, y, 1, 1).data];
+  const red   = ([r, g, b, a]) => r > 250 && g < 5 && b < 5 && a > 250;
+  const top = [mt.SIZE / 2, 10], bottom = [mt.SIZE / 2, mt.SIZE - 10];
+  assert.ok(top[1] < POP_OUT_LINE && bottom[1] > POP_OUT_LINE);
+
+  const render = popOut => mt.renderCanvas(mt.createToken({ image, panX: 0, panY: 0, zoom: 1, popOut }));
+  const plain = await render({ enabled: false, mask: null });
+  const whole = await render({ enabled: true, mask: null });
+  assert.ok(!red(pixel(plain, ...top)), 'the frame is drawn over the image');
+  assert.ok(red(pixel(whole, ...top)), 'the image is drawn over the top of the frame');
+  assert.deepEqual(pixel(whole, ...bottom), pixel(plain, ...bottom), 'the bottom of the frame is untouched');
+
+  // A mask that keeps only the right half of the image; both points are on the ring
+  const mask = canvasLib.createCanvas(mt.SIZE, mt.SIZE);
+  mask.getContext('2d').fillRect(mt.SIZE / 2, 0, mt.SIZE / 2, mt.SIZE);
+  const half = await render({ enabled: true, mask: mask.toDataURL('image/png') });
+  assert.ok(!red(pixel(plain, 84, 84)));
+  assert.deepEqual(pixel(half, 84, 84), pixel(plain, 84, 84), 'masked-out parts stay behind the frame');
+  assert.ok(red(pixel(half, mt.SIZE - 84, 84)), 'masked-in parts pop out');
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers');
+
+const { PRINT_PAGES, PRINT_SIZES, PRINT_MARGIN, printCell, printGrid, printSheets, buildPdf } = load(['print.js'], [
+  'PRINT_PAGES', 'PRINT_SIZES', 'PRINT_MARGIN', 'printCell', 'printGrid', 'printSheets', 'buildPdf',
+], { TextEncoder, Blob });
+
+const EPSILON = 1e-9;
+
+test('grids stay inside the margins without overlapping, for every page, size and cell kind', () => {
+  for (const page of PRINT_PAGES) {
+    for (const size of PRINT_SIZES) {
+      for (const kind of [{}, { bleed: true }, { standee: true }]) {
+        const cell = printCell(size.mm, kind);
+        const { cols, rows, slots } = printGrid(page, cell);
+        assert.equal(slots.length, cols * rows);
+        for (const { x, y } of slots) {
+          assert.ok(x >= PRINT_MARGIN - EPSILON && x + cell.width <= page.width - PRINT_MARGIN + EPSILON, `${page.id} ${size.id}: x ${x}`);
+          assert.ok(y >= PRINT_MARGIN - EPSILON && y + cell.height <= page.height - PRINT_MARGIN + EPSILON, `${page.id} ${size.id}: y ${y}`);
+        }
+        for (let i = 1; i < slots.length; i++) {
+          const a = slots[i - 1], b = slots[i];
+          assert.ok(b.x >= a.x + cell.width || b.y >= a.y + cell.height, `${page.id} ${size.id}: cells ${i - 1} and ${i} overlap`);
+        }
+      }
+    }
+  }
+});
+
+test('one-inch tokens fill an A4 page six by nine', () => {
+  const { cols, rows } = printGrid(PRINT_PAGES.find(p => p.id === 'a4'), printCell(25.4));
+  assert.deepEqual([cols, rows], [6, 9]);
+});
+
+test('too big a token for the page is reported', () => {
+  assert.throws(() => printGrid({ label: 'tiny', width: 40, height: 40 }, printCell(25.4)), /do not fit on tiny paper/);
+});
+
+test('copies spill onto further pages, and standees get a mirrored back and a fold', () => {
+  const flat = printSheets(['a', 'b'], { size: '1in', page: 'a4', copies: 30 });
+  assert.equal(flat.length, 2);
+  assert.equal(flat[0].items.length, 54);
+  assert.equal(flat[1].items.length, 6);
+  assert.equal(flat[1].items[5].image, 'b');
+
+  const [page] = printSheets(['a'], { size: '2in', page: 'letter', standee: true, cutLines: true });
+  const [back, front] = page.items;
+  assert.equal(back.flip, true);
+  assert.equal(front.flip, false);
+  assert.equal(front.y, back.y + back.height);
+  assert.deepEqual([...page.lines.map(l => l.dashed)], [true, false, false, false, false]);
+});
+
+test('the PDF cross-reference table points at each object', async () => {
+  const jpeg  = { jpeg: new Uint8Array([0xff, 0xd8, 0xff, 0xd9]), width: 2, height: 2 };
+  const pages = printSheets([jpeg], { size: '3in', page: 'a4', copies: 7, standee: true });
+  const bytes = Buffer.from(await buildPdf(pages).arrayBuffer());
+  const text  = bytes.toString('latin1');
+
+  assert.ok(text.startsWith('%PDF-1.4\n'));
+  assert.ok(text.endsWith('%%EOF\n'));
+  const xrefAt = parseInt(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+  assert.ok(text.startsWith('xref\n', xrefAt));
+  const [, count] = text.slice(xrefAt).match(/^xref\n0 (\d+)\n/);
+  const offsets   = [...text.slice(xrefAt).matchAll(/^(\d{10}) 00000 n $/gm)].map(m => parseInt(m[1]));
+  assert.equal(offsets.length, parseInt(count) - 1);
+  offsets.forEach((at, i) => assert.ok(text.startsWith(`${i + 1} 0 obj\n`, at), `object ${i + 1} is not at ${at}`));
+
+  // The one image is embedded once however many times it is placed
+  assert.equal(text.match(/\/Subtype \/Image/g).length, 1);
+  assert.equal(text.match(/\/Type \/Page /g).length, pages.length);
+});
@@ -0,0 +1,154 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { load, forAll, between } = require('./helpers');
+const { CORE_SCRIPTS } = require('../node/headless');
+
+const {
+  FRAMES, SHAPES, PALETTE_PRESETS, AUTO_PALETTE, PROFILE_SAMPLES, createToken, imageCorners, frameSchema,
+  shareView, applyShareView, encodeShare, decodeShare, contentHash,
+} = load([...CORE_SCRIPTS, 'share.js'], [
+  'FRAMES', 'SHAPES', 'PALETTE_PRESETS', 'AUTO_PALETTE', 'PROFILE_SAMPLES', 'createToken', 'imageCorners', 'frameSchema',
+  'shareView', 'applyShareView', 'encodeShare', 'decodeShare', 'contentHash',
+], { TextEncoder, TextDecoder, URLSearchParams, btoa, atob, crypto });
+
+/** A token's settings with the frame by id, as tokenSettings() in app.js stores them. */
+function settingsOf(token) {
+  const { frameIndex, name, image, ...rest } = token;
+  return JSON.parse(JSON.stringify({ ...rest, frame: FRAMES[frameIndex].id }));
+}
+
+const DEFAULTS = settingsOf(createToken());
+
+function pick(rand, list) {
+  return list[Math.floor(rand() * list.length)];
+}
+
+function randomHex(rand) {
+  return '#' + Math.floor(rand() * 0x1000000).toString(16).padStart(6, '0');
+}
+
+/** Values for a frame's params, each within its schema. */
+function randomParams(rand, frameIndex) {
+  return Object.fromEntries(frameSchema(frameIndex).map(def => [def.key, def.type === 'toggle'
+    ? rand() < 0.5
+    : def.min + Math.floor(rand() * ((def.max - def.min) / def.step + 1)) * def.step]));
+}
+
+function randomToken(rand) {
+  const frameIndex = Math.floor(rand() * FRAMES.length);
+  const token = createToken({
+    frameIndex,
+    color:      randomHex(rand),
+    shape:      pick(rand, SHAPES).id,
+    rotation:   Math.round(between(rand, -180, 180)),
+    flipX:      rand() < 0.5,
+    frameParams: randomParams(rand, frameIndex),
+    palette:    rand() < 0.5 ? { ...AUTO_PALETTE } : { ...AUTO_PALETTE, ...pick(rand, PALETTE_PRESETS).slots },
+  });
+  token.adjust     = { ...token.adjust, brightness: Math.round(between(rand, -100, 100)), keyColor: randomHex(rand) };
+  token.background = { ...token.background, mode: pick(rand, ['none', 'solid', 'radial']), color: randomHex(rand) };
+  token.labels     = { ...token.labels, banner: rand() < 0.5 ? 'Cleric & “friend” ✝' : '', badge: String(Math.floor(rand() * 10)) };
+  return token;
+}
+
+test('settings survive a link round trip', () => {
+  forAll(200, rand => {
+    const token = randomToken(rand);
+    token.panX  = between(rand, -600, 600);
+    const settings = settingsOf(token);
+    const link = decodeShare(encodeShare({ settings }, DEFAULTS), DEFAULTS);
+    // Placement in canvas px only travels as the view
+    assert.deepEqual(JSON.parse(JSON.stringify(link.settings)), { ...settings, panX: DEFAULTS.panX });
+    assert.equal(link.view, null);
+    assert.equal(link.image, null);
+  });
+});
+
+test('links leave out settings at their defaults', () => {
+  const hash = encodeShare({ settings: DEFAULTS }, DEFAULTS);
+  const data = JSON.parse(Buffer.from(hash.slice('#token='.length), 'base64url').toString());
+  assert.deepEqual(data, { v: 1 });
+});
+
+test('the view reproduces the placement, and scales to another copy of the image', () => {
+  forAll(200, rand => {
+    const token = randomToken(rand);
+    token.image = { width: Math.round(between(rand, 16, 4000)), height: Math.round(between(rand, 16, 4000)) };
+    token.zoom  = between(rand, 0.05, 3);
+    token.panX  = between(rand, -600, 600);
+    token.panY  = between(rand, -600, 600);
+    const link  = decodeShare(encodeShare({ settings: settingsOf(token), view: shareView(token) }, DEFAULTS), DEFAULTS);
+
+    const same = { ...token, panX: 0, panY: 0, zoom: 1 };
+    applyShareView(same, link.view);
+    const scaled = { ...token, image: { width: token.image.width * 3, height: token.image.height * 3 } };
+    applyShareView(scaled, link.view);
+
+    const want = imageCorners(token);
+    for (const copy of [same, scaled]) {
+      imageCorners(copy).forEach(([x, y], i) => {
+        // Views are rounded to 6 decimals, well under 0.01 px at this size
+        assert.ok(Math.abs(x - want[i][0]) < 0.01 && Math.abs(y - want[i][1]) < 0.01, `corner ${i} moved`);
+      });
+    }
+  });
+});
+
+test('junk in a link falls back to the defaults', () => {
+  const settings = {
+    ...DEFAULTS,
+    color:       'red" onload="x',
+    rotation:    'upside down',
+    palette:     { metal: 'url(#x)', gem: '#123456', extra: 1 },
+    maskProfile: [1, 2, 3],
+    frameParams: { ring: 30, evil: '<script>' },
+    adjust:      [1, 2],
+    background:  { mode: 'texture', texture: 'upload', upload: 'data:image/png;base64,AAAA' },
+    conditions:  ['stunned', 7, { id: 'x' }],
+    popOut:      { enabled: true, mask: 'data:image/png;base64,AAAA' },
+  };
+  const link = decodeShare(encodeShare({ settings, view: [0, 0, -1], image: 'not-a-hash' }, DEFAULTS), DEFAULTS);
+  assert.equal(link.settings.color, DEFAULTS.color);
+  assert.equal(link.settings.rotation, DEFAULTS.rotation);
+  assert.equal(link.settings.maskProfile, null);
+  assert.deepEqual({ ...link.settings.palette }, { ...AUTO_PALETTE, gem: '#123456' });
+  assert.deepEqual({ ...link.settings.frameParams }, { ring: 30 });
+  assert.deepEqual({ ...link.settings.adjust }, DEFAULTS.adjust);
+  assert.equal(link.settings.background.upload, null);
+  assert.notEqual(link.settings.background.texture, 'upload');
+  assert.deepEqual([...link.settings.conditions], ['stunned']);
+  assert.deepEqual({ ...link.settings.popOut }, { enabled: true, mask: null });
+  assert.equal(link.view, null);
+  assert.equal(link.image, null);
+
+  const profile = Array.from({ length: PROFILE_SAMPLES }, () => 230);
+  const custom  = decodeShare(encodeShare({ settings: { ...DEFAULTS, shape: 'custom', maskProfile: profile } }, DEFAULTS), DEFAULTS);
+  assert.deepEqual([...custom.settings.maskProfile], profile);
+});
+
+test('frame params from a link are held to their frame\'s schema', () => {
+  const decode = (frame, frameParams) =>
+    ({ ...decodeShare(encodeShare({ settings: { ...DEFAULTS, frame, frameParams } }, DEFAULTS), DEFAULTS).settings.frameParams });
+
+  assert.deepEqual(decode('rope-twist', { segments: 1e9, ring: 500, spin: -7.4, glow: 42, gloss: true, shimmer: 1 }),
+    { segments: 72, ring: 48, spin: -2, glow: 40 });
+  assert.deepEqual(decode('rope-twist', { segments: -3, ring: '30', spin: true, glow: NaN }), { segments: 12 });
+  assert.deepEqual(decode('gem-border', { shimmer: 1, gloss: true, gemSize: 9.7 }), { gloss: true, gemSize: 10 });
+  assert.deepEqual(decode('no-such-frame', { ring: 30 }), {});
+  assert.deepEqual(decode('simple-ring', [30]), {});
+});
+
+test('hashes without a token are ignored, damaged and newer links are reported', () => {
+  assert.equal(decodeShare('', DEFAULTS), null);
+  assert.equal(decodeShare('#other=1', DEFAULTS), null);
+  assert.throws(() => decodeShare('#token=eyJ2Ijox', DEFAULTS), /damaged/);
+  const newer = '#token=' + Buffer.from(JSON.stringify({ v: 99 })).toString('base64url');
+  assert.throws(() => decodeShare(newer, DEFAULTS), /newer version/);
+});
+
+test('the content hash is the SHA-256 of the file bytes', async () => {
+  const hash = await contentHash(new Blob(['abc']));
+  assert.equal(hash, 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers');
+const { CORE_SCRIPTS } = require('../node/headless');
+
+const { CREATURE_SIZES, VTT_TARGETS, vttPackage, vttSlug } = load([...CORE_SCRIPTS, 'vtt.js'], [
+  'CREATURE_SIZES', 'VTT_TARGETS', 'vttPackage', 'vttSlug',
+], { btoa });
+
+/** A stand-in renderer: "PNG" bytes that record the size asked for. */
+const rendered = [];
+async function fakeRender(px) {
+  rendered.push(px);
+  return new TextEncoder().encode(`png ${px}`);
+}
+
+function fileNamed(files, pattern) {
+  const file = files.find(f => pattern.test(f.name));
+  assert.ok(file, `no file matching ${pattern} in ${files.map(f => f.name).join(', ')}`);
+  return file;
+}
+
+test('names become lowercase, file-safe slugs', () => {
+  assert.equal(vttSlug('Goblin Archer (2)'), 'goblin-archer-2');
+  assert.equal(vttSlug('  Ancient Red Dragon!! '), 'ancient-red-dragon');
+  assert.equal(vttSlug('✝✝'), 'token');
+});
+
+test('every target packages every creature size with a README', async () => {
+  for (const target of VTT_TARGETS) {
+    for (const size of CREATURE_SIZES) {
+      const files = await vttPackage(target.id, { name: 'Goblin Archer', squares: size.squares }, fakeRender);
+      const names = files.map(f => f.name);
+      assert.equal(new Set(names).size, names.length, `${target.id} ${size.id}: duplicate file names`);
+      assert.ok(names.includes('README.txt'), `${target.id} ${size.id}: no README`);
+      assert.match(fileNamed(files, /README/).data, /^Goblin Archer /);
+    }
+  }
+  await assert.rejects(vttPackage('fantasy-grounds', { name: 'x', squares: 1 }, fakeRender), /Unknown VTT target/);
+});
+
+test('the Foundry actor points at its image and takes the size in grid units', async () => {
+  rendered.length = 0;
+  const files = await vttPackage('foundry', { name: 'Ogre', squares: 2 }, fakeRender);
+  const actor = JSON.parse(fileNamed(files, /\.json$/).data);
+  const image = fileNamed(files, /\.png$/);
+  assert.equal(actor.name, 'Ogre');
+  assert.equal(actor.img, image.name);
+  assert.equal(actor.prototypeToken.texture.src, image.name);
+  assert.equal(actor.prototypeToken.width, 2);
+  assert.equal(actor.prototypeToken.height, 2);
+  assert.deepEqual(rendered, [512]);
+});
+
+test('Roll20 gets the image at 70 px a unit and twice that, sizes in the names', async () => {
+  rendered.length = 0;
+  const files = await vttPackage('roll20', { name: 'Pixie', squares: 0.5 }, fakeRender);
+  assert.deepEqual([...files.filter(f => f.name.endsWith('.png')).map(f => f.name)], ['pixie_0.5x0.5_35px.png', 'pixie_0.5x0.5_70px.png']);
+  assert.deepEqual(rendered, [35, 70]);
+});
+
+test('the Universal VTT file embeds the image and is sized in squares', async () => {
+  const files = await vttPackage('uvtt', { name: 'Purple Worm', squares: 4 }, fakeRender);
+  const uvtt  = JSON.parse(fileNamed(files, /\.dd2vtt$/).data);
+  assert.deepEqual(uvtt.resolution.map_size, { x: 4, y: 4 });
+  assert.equal(uvtt.resolution.pixels_per_grid * 4, 1024);
+  assert.equal(Buffer.from(uvtt.image, 'base64').toString(), 'png 1024');
+  assert.deepEqual(uvtt.line_of_sight, []);
+});
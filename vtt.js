@@ -0,0 +1,156 @@
+/**
+ * vtt.js — Ready-to-import packages for virtual tabletops.
+ *
+ * Each target turns one token into the files its VTT takes in:
+ *   foundry  an actor JSON (right-click an actor → Import Data) whose
+ *            prototype token uses the image at the creature's size in grid
+ *            units, plus the image under tokens/
+ *   roll20   the image at Roll20's 70 px unit and at twice that for sharp
+ *            zoomed-in play, named with the creature and its size in units
+ *   uvtt     a Universal VTT (.dd2vtt) file: the image embedded as base64,
+ *            sized in grid squares, with no walls or lights
+ * Every package carries a README.txt with the import steps.
+ *
+ * vttPackage() is DOM-free: the caller passes a render(px) that resolves to
+ * PNG bytes, and zips the files it returns.
+ */
+
+'use strict';
+
+// gridPx: image px per grid square (Roll20 also gets a copy at twice that)
+const VTT_TARGETS = [
+  { id: 'foundry', label: 'Foundry VTT',   gridPx: 256, files: foundryFiles },
+  { id: 'roll20',  label: 'Roll20',        gridPx: 70,  files: roll20Files  },
+  { id: 'uvtt',    label: 'Universal VTT', gridPx: 256, files: uvttFiles    },
+];
+
+const VTT_MAX_PX = 4096;   // largest image rendered for a package
+
+// ── Names ──────────────────────────────────────────────────────────────────
+
+/** "Goblin Archer (2)" → "goblin-archer-2"; 'token' if nothing is left. */
+function vttSlug(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return slug || 'token';
+}
+
+/** Size in grid units as VTTs write it: 1, 2, 0.5. */
+function vttUnits(squares) {
+  return String(Math.round(squares * 100) / 100);
+}
+
+/** Image side in px for `squares` grid squares of `gridPx`. */
+function vttPixels(squares, gridPx) {
+  return Math.min(VTT_MAX_PX, Math.round(squares * gridPx));
+}
+
+// ── Targets ────────────────────────────────────────────────────────────────
+
+function foundryActor(name, squares, src) {
+  return {
+    name,
+    type: 'npc',
+    img:  src,
+    system: {},
+    prototypeToken: {
+      name,
+      width:   squares,
+      height:  squares,
+      texture: { src, scaleX: 1, scaleY: 1 },
+      lockRotation: true,
+    },
+    items:   [],
+    effects: [],
+    flags:   {},
+  };
+}
+
+async function foundryFiles(name, squares, gridPx, render) {
+  const slug = vttSlug(name);
+  const src  = `tokens/${slug}.png`;
+  return [
+    { name: src, data: await render(vttPixels(squares, gridPx)) },
+    { name: `fvtt-Actor-${slug}.json`, data: JSON.stringify(foundryActor(name, squares, src), null, 2) },
+    { name: 'README.txt', data: [
+      `${name} for Foundry VTT`,
+      '',
+      '1. Copy the tokens folder into your Foundry user data folder, next to',
+      '   worlds/ and modules/ (The Forge: upload it in the Assets Library).',
+      '2. Create an actor of type npc, right-click it in the Actors sidebar,',
+      `   choose Import Data and pick fvtt-Actor-${slug}.json.`,
+      '',
+      `The token is ${vttUnits(squares)} × ${vttUnits(squares)} grid units.`,
+    ].join('\n') },
+  ];
+}
+
+async function roll20Files(name, squares, gridPx, render) {
+  const slug  = vttSlug(name);
+  const units = vttUnits(squares);
+  const files = [];
+  for (const scale of [1, 2]) {
+    const px = vttPixels(squares, gridPx * scale);
+    files.push({ name: `${slug}_${units}x${units}_${px}px.png`, data: await render(px) });
+  }
+  files.push({ name: 'README.txt', data: [
+    `${name} for Roll20`,
+    '',
+    '1. Upload either image to your Art Library (the larger one stays sharp',
+    '   when zoomed in) and drag it onto the Objects & Tokens layer.',
+    `2. It should snap to ${units} × ${units} units; if not, open the token's`,
+    `   Advanced settings and set Width and Height to ${vttPixels(squares, gridPx)} px.`,
+  ].join('\n') });
+  return files;
+}
+
+/** Base64 of a byte array, in chunks to stay under argument limits. */
+function vttBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+async function uvttFiles(name, squares, gridPx, render) {
+  const slug = vttSlug(name);
+  const px   = vttPixels(squares, gridPx);
+  const png  = await render(px);
+  const uvtt = {
+    format: 0.3,
+    resolution: {
+      map_origin:      { x: 0, y: 0 },
+      map_size:        { x: squares, y: squares },
+      pixels_per_grid: px / squares,
+    },
+    line_of_sight:         [],
+    objects_line_of_sight: [],
+    portals:     [],
+    environment: { baked_lighting: true, ambient_light: 'ffffffff' },
+    lights:      [],
+    image:       vttBase64(png),
+  };
+  return [
+    { name: `${slug}.dd2vtt`, data: JSON.stringify(uvtt) },
+    { name: `${slug}.png`, data: png },
+    { name: 'README.txt', data: [
+      `${name} as Universal VTT`,
+      '',
+      `${slug}.dd2vtt holds the token image at ${vttUnits(squares)} × ${vttUnits(squares)} grid squares`,
+      'for any importer that reads the Universal VTT format. The same image is',
+      `included as ${slug}.png for tables that only take pictures.`,
+    ].join('\n') },
+  ];
+}
+
+/**
+ * The files of an import package for VTT_TARGETS id `target`: a creature
+ * `name` that covers `squares` grid squares a side. `render(px)` resolves
+ * to the token as PNG bytes (Uint8Array) at px × px.
+ * @returns {Promise<{ name: string, data: Uint8Array|string }[]>}
+ */
+async function vttPackage(target, { name, squares }, render) {
+  const def = VTT_TARGETS.find(t => t.id === target);
+  if (!def) throw new Error(`Unknown VTT target "${target}"`);
+  return def.files(name.trim() || 'Token', squares, def.gridPx, render);
+}
@@ -0,0 +1,118 @@
+/**
+ * zip.js — Minimal in-browser ZIP writer.
+ *
+ * Entries are STORED (no compression): PNG/WebP payloads are already
+ * compressed, so deflating them again would only cost time.
+ */
+
+'use strict';
+
+// ── CRC-32 ─────────────────────────────────────────────────────────────────
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes, crc = 0) {
+  crc = ~crc >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+/** Pack a Date into the MS-DOS [time, date] pair used by ZIP headers. */
+function dosDateTime(d) {
+  const time = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+  const date = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return [time, date];
+}
+
+async function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (typeof data === 'string') return new TextEncoder().encode(data);
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  return new Uint8Array(await data.arrayBuffer());   // Blob
+}
+
+// ── Writer ─────────────────────────────────────────────────────────────────
+
+/**
+ * Build a ZIP archive.
+ * @param {{ name: string, data: Blob|Uint8Array|ArrayBuffer|string }[]} files
+ * @returns {Promise<Blob>}
+ */
+async function buildZip(files) {
+  const enc     = new TextEncoder();
+  const [time, date] = dosDateTime(new Date());
+  const parts   = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name  = enc.encode(file.name);
+    const bytes = await toBytes(file.data);
+    const crc   = crc32(bytes);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0,  0x04034b50, true);   // local file header signature
+    local.setUint16(4,  20, true);           // version needed
+    local.setUint16(6,  0x0800, true);       // flags: UTF-8 names
+    local.setUint16(8,  0, true);            // method: stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bytes.length, true); // compressed size
+    local.setUint32(22, bytes.length, true); // uncompressed size
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);            // extra length
+    parts.push(local, name, bytes);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0,  0x02014b50, true);   // central directory signature
+    entry.setUint16(4,  20, true);           // version made by
+    entry.setUint16(6,  20, true);           // version needed
+    entry.setUint16(8,  0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, bytes.length, true);
+    entry.setUint32(24, bytes.length, true);
+    entry.setUint16(28, name.length, true);
+    // 30..41: extra / comment lengths, disk number, attributes — all zero
+    entry.setUint32(42, offset, true);       // local header offset
+    central.push(entry, name);
+
+    offset += 30 + name.length + bytes.length;
+  }
+
+  const centralSize = central.reduce((n, p) => n + p.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0,  0x06054b50, true);       // end of central directory
+  end.setUint16(8,  files.length, true);     // entries on this disk
+  end.setUint16(10, files.length, true);     // entries total
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);           // central directory offset
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+/**
+ * Return `base.ext`, or `base-2.ext`, `base-3.ext`… if that name is already
+ * in `used`. The chosen name is added to `used`.
+ */
+function uniqueFileName(base, ext, used) {
+  let name = `${base}.${ext}`;
+  for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}-${n}.${ext}`;
+  used.add(name.toLowerCase());
+  return name;
+}